@@ -0,0 +1,183 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+jest.mock('../plexClient');
+jest.mock('../audioFixer');
+jest.mock('../bulkFixer');
+
+const request = require('supertest');
+const express = require('express');
+const plexClient = require('../plexClient');
+const audioFixer = require('../audioFixer');
+const bulkFixer = require('../bulkFixer');
+const { createAdminRouter } = require('../adminApi');
+
+const TOKEN = 'admin-token-0123456789';
+
+describe('adminApi', () => {
+    let app;
+    let config;
+    let onEvent;
+
+    const get = (path) => request(app).get(path).set('Authorization', `Bearer ${TOKEN}`);
+    const post = (path) => request(app).post(path).set('Authorization', `Bearer ${TOKEN}`);
+    const del = (path) => request(app).delete(path).set('Authorization', `Bearer ${TOKEN}`);
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        config = { webhook: { admin_token: TOKEN }, pre_selection: { enabled: true } };
+        onEvent = jest.fn().mockResolvedValue(undefined);
+        app = express();
+        app.use('/admin', createAdminRouter(config, onEvent));
+    });
+
+    describe('authentication', () => {
+        it('should reject requests without a token', async () => {
+            const response = await request(app).get('/admin/validations');
+
+            expect(response.status).toBe(401);
+            expect(audioFixer.getPendingValidations).not.toHaveBeenCalled();
+        });
+
+        it('should reject a wrong token', async () => {
+            const response = await request(app).get('/admin/validations').set('Authorization', 'Bearer wrong');
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    it('should list pending validations', async () => {
+        audioFixer.getPendingValidations.mockReturnValue([{ ratingKey: '100', expectedStreamId: 2 }]);
+
+        const response = await get('/admin/validations');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ validations: [{ ratingKey: '100', expectedStreamId: 2 }] });
+    });
+
+    it('should list recent actions with a limit', async () => {
+        audioFixer.getRecentActions.mockReturnValue([{ action: 'switch', ratingKey: '100' }]);
+
+        const response = await get('/admin/actions?limit=10');
+
+        expect(response.status).toBe(200);
+        expect(audioFixer.getRecentActions).toHaveBeenCalledWith(10);
+        expect(response.body.actions).toHaveLength(1);
+    });
+
+    it('should reject an invalid limit', async () => {
+        const response = await get('/admin/actions?limit=0');
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should clear state and re-queue current sessions of an item', async () => {
+        audioFixer.clearProcessedMedia.mockReturnValue(1);
+        plexClient.fetchSessions.mockResolvedValue([
+            { ratingKey: '100', sessionKey: 7, title: 'Movie', User: { title: 'oma' }, Player: { machineIdentifier: 'player-1' } },
+            { ratingKey: '200', sessionKey: 8, Player: { machineIdentifier: 'player-2' } }
+        ]);
+
+        const response = await post('/admin/reevaluate/100');
+
+        expect(response.status).toBe(202);
+        expect(response.body).toEqual({ ratingKey: '100', cleared: 1, queued: 1 });
+        expect(audioFixer.clearProcessedMedia).toHaveBeenCalledWith('100');
+        expect(onEvent).toHaveBeenCalledTimes(1);
+        expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({
+            event: 'media.play',
+            Player: { uuid: 'player-1' },
+            Metadata: expect.objectContaining({ ratingKey: '100' }),
+            Stream: { sessionKey: '7' },
+            _source: 'admin'
+        }));
+    });
+
+    it('should return errors as JSON', async () => {
+        plexClient.fetchSessions.mockRejectedValue(new Error('Plex sessions: 503'));
+
+        const response = await post('/admin/reevaluate/100');
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ error: 'Plex sessions: 503' });
+    });
+
+    it('should preview the selection for a user', async () => {
+        bulkFixer.previewItem.mockResolvedValue({ ratingKey: '100', parts: [] });
+
+        const response = await get('/admin/preview/100?user=oma');
+
+        expect(response.status).toBe(200);
+        expect(bulkFixer.previewItem).toHaveBeenCalledWith('100', config, 'oma');
+        expect(response.body.ratingKey).toBe('100');
+    });
+
+    it('should return 404 for unknown preview users', async () => {
+        bulkFixer.previewItem.mockResolvedValue(null);
+
+        const response = await get('/admin/preview/100?user=stranger');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Unknown user: stranger');
+    });
+
+    describe('bulk-scan', () => {
+        it('should start a run', async () => {
+            bulkFixer.run.mockResolvedValue(undefined);
+
+            const response = await post('/admin/bulk-scan');
+
+            expect(response.status).toBe(202);
+            expect(bulkFixer.run).toHaveBeenCalledWith(config);
+        });
+
+        it('should refuse while a run is in progress', async () => {
+            bulkFixer.isScanning.mockReturnValue(true);
+
+            const response = await post('/admin/bulk-scan');
+
+            expect(response.status).toBe(409);
+            expect(bulkFixer.run).not.toHaveBeenCalled();
+        });
+
+        it('should refuse when pre-selection is disabled', async () => {
+            config.pre_selection.enabled = false;
+
+            const response = await post('/admin/bulk-scan');
+
+            expect(response.status).toBe(409);
+            expect(bulkFixer.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('processed state', () => {
+        it('should clear one item', async () => {
+            audioFixer.clearProcessedMedia.mockReturnValue(2);
+
+            const response = await del('/admin/processed?ratingKey=100');
+
+            expect(response.body).toEqual({ removed: 2 });
+            expect(audioFixer.clearProcessedMedia).toHaveBeenCalledWith('100');
+        });
+
+        it('should clear everything without a rating key', async () => {
+            audioFixer.clearProcessedMedia.mockReturnValue(3);
+
+            const response = await del('/admin/processed');
+
+            expect(response.body).toEqual({ removed: 3 });
+            expect(audioFixer.clearProcessedMedia).toHaveBeenCalledWith(undefined);
+        });
+
+        it('should reject repeated rating keys', async () => {
+            const response = await del('/admin/processed?ratingKey=100&ratingKey=200');
+
+            expect(response.status).toBe(400);
+            expect(audioFixer.clearProcessedMedia).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,555 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+jest.mock('../plexClient');
+jest.mock('../journal');
+jest.mock('../stateStore', () => ({
+    load: jest.fn((filename, fallback) => fallback),
+    save: jest.fn(() => true),
+    getPath: jest.fn(filename => filename)
+}));
+
+const plexClient = require('../plexClient');
+const stateStore = require('../stateStore');
+const journal = require('../journal');
+const audioFixer = require('../audioFixer');
+const { processWebhook } = require('../webhookProcessor');
+
+function buildSession(sessionKey, selectedStreamId, transcode) {
+    return {
+        sessionKey,
+        ratingKey: '100',
+        Player: { title: 'TV', machineIdentifier: 'player-1' },
+        User: { id: 1, title: 'owner' },
+        Session: { id: 'session-1' },
+        TranscodeSession: transcode,
+        Media: [{
+            Part: [{
+                id: 10,
+                Stream: [
+                    { id: 1, streamType: 2, codec: 'truehd', selected: selectedStreamId === 1 },
+                    { id: 2, streamType: 2, codec: 'ac3', selected: selectedStreamId === 2 }
+                ]
+            }]
+        }]
+    };
+}
+
+describe('audioFixer', () => {
+    const config = { accept_audio_copy: true };
+
+    describe('validateSessionRestart', () => {
+        it('should wait for a restart after a terminating switch', () => {
+            const info = { originalSessionKey: '5', expectedStreamId: 2 };
+            expect(audioFixer.validateSessionRestart(buildSession('5', 2), info, config)).toBeNull();
+        });
+
+        it('should wait until an in-place switch reaches the player', () => {
+            const info = { originalSessionKey: '5', expectedStreamId: 2, inPlace: true };
+            const session = buildSession('5', 1, { audioDecision: 'transcode' });
+            expect(audioFixer.validateSessionRestart(session, info, config)).toBeNull();
+        });
+
+        it('should validate an in-place switch in the same session', () => {
+            const info = { originalSessionKey: '5', expectedStreamId: 2, inPlace: true };
+            expect(audioFixer.validateSessionRestart(buildSession('5', 2), info, config)).toBe(true);
+        });
+
+        it('should fail an in-place switch that still transcodes', () => {
+            const info = { originalSessionKey: '5', expectedStreamId: 2, inPlace: true };
+            const session = buildSession('5', 2, { audioDecision: 'transcode' });
+            expect(audioFixer.validateSessionRestart(session, info, config)).toBe(false);
+        });
+    });
+
+    describe('in-place switching', () => {
+        const switchConfig = {
+            dry_run: false,
+            terminate_stream: true,
+            in_place_switch: true,
+            accept_audio_copy: true,
+            owner_username: 'owner',
+            termination: { strategy: 'immediate' },
+            fallback: { max_attempts: 1, revert_to_original: false },
+            audio_selector: [{ codec: 'ac3' }]
+        };
+
+        beforeAll(() => {
+            audioFixer.setValidationTimeout(120);
+        });
+
+        beforeEach(() => {
+            jest.resetAllMocks();
+            audioFixer.clearProcessingInfo('100', 'player-1');
+            plexClient.fetchMetadata.mockResolvedValue(buildSession('5', 1));
+            plexClient.fetchManagedUserTokens.mockResolvedValue({});
+            plexClient.getOwnerToken.mockReturnValue('owner-token');
+        });
+
+        it('should switch controllable players without terminating', async () => {
+            plexClient.fetchClients.mockResolvedValue([
+                { machineIdentifier: 'player-1', protocolCapabilities: 'timeline,playback,navigation' }
+            ]);
+
+            const session = buildSession('5', 1, { audioDecision: 'transcode' });
+            expect(await audioFixer.processTranscodingSession(session, switchConfig)).toBe(true);
+
+            expect(plexClient.setPlayerAudioStream).toHaveBeenCalledWith('player-1', 2, false);
+            expect(plexClient.terminateSession).not.toHaveBeenCalled();
+            expect(audioFixer.getProcessingInfo('100', 'player-1').inPlace).toBe(true);
+        });
+
+        it('should terminate when the player is not controllable', async () => {
+            plexClient.fetchClients.mockResolvedValue([
+                { machineIdentifier: 'player-1', protocolCapabilities: 'timeline' }
+            ]);
+
+            const session = buildSession('5', 1, { key: '/transcode/sessions/abc', audioDecision: 'transcode' });
+            expect(await audioFixer.processTranscodingSession(session, switchConfig)).toBe(true);
+
+            expect(plexClient.setPlayerAudioStream).not.toHaveBeenCalled();
+            expect(plexClient.terminateSession).toHaveBeenCalled();
+            expect(audioFixer.getProcessingInfo('100', 'player-1').inPlace).toBe(false);
+        });
+
+        it('should terminate when the player command fails', async () => {
+            plexClient.fetchClients.mockResolvedValue([
+                { machineIdentifier: 'player-1', protocolCapabilities: 'playback' }
+            ]);
+            plexClient.setPlayerAudioStream.mockRejectedValue(new Error('timeout'));
+
+            const session = buildSession('5', 1, { key: '/transcode/sessions/abc', audioDecision: 'transcode' });
+            expect(await audioFixer.processTranscodingSession(session, switchConfig)).toBe(true);
+
+            expect(plexClient.terminateSession).toHaveBeenCalled();
+        });
+
+        describe('players that never switch', () => {
+            beforeEach(() => {
+                jest.useFakeTimers();
+                plexClient.fetchClients.mockResolvedValue([
+                    { machineIdentifier: 'player-1', protocolCapabilities: 'playback' }
+                ]);
+            });
+
+            afterEach(() => {
+                jest.useRealTimers();
+            });
+
+            it('should terminate when the in-place switch does not take effect', async () => {
+                const session = buildSession('5', 1, { key: '/transcode/sessions/abc', audioDecision: 'transcode' });
+                await audioFixer.processTranscodingSession(session, switchConfig);
+                plexClient.fetchSessions.mockResolvedValue([session]);
+
+                await jest.advanceTimersByTimeAsync(5000);
+                expect(plexClient.terminateSession).not.toHaveBeenCalled();
+
+                await jest.advanceTimersByTimeAsync(5000);
+                expect(plexClient.terminateTranscode).toHaveBeenCalledWith('/transcode/sessions/abc');
+                expect(plexClient.terminateSession).toHaveBeenCalled();
+
+                const info = audioFixer.getProcessingInfo('100', 'player-1');
+                expect(info.inPlace).toBe(false);
+                expect(await audioFixer.handleRestartedSession(buildSession('6', 2), info, switchConfig)).toBe('validated');
+            });
+
+            it('should validate players that switched without terminating', async () => {
+                await audioFixer.processTranscodingSession(buildSession('5', 1, { audioDecision: 'transcode' }), switchConfig);
+                plexClient.fetchSessions.mockResolvedValue([buildSession('5', 2)]);
+
+                await jest.advanceTimersByTimeAsync(10000);
+
+                expect(plexClient.terminateSession).not.toHaveBeenCalled();
+                expect(audioFixer.getProcessingInfo('100', 'player-1')).toBeNull();
+            });
+        });
+    });
+
+    describe('fallback', () => {
+        const fallbackConfig = {
+            dry_run: false,
+            terminate_stream: true,
+            in_place_switch: false,
+            accept_audio_copy: true,
+            owner_username: 'owner',
+            termination: { strategy: 'immediate' },
+            fallback: { max_attempts: 2, revert_to_original: true },
+            audio_selector: [{ codec: 'ac3' }, { codec: 'eac3' }]
+        };
+
+        // truehd (1), ac3 (2) and eac3 (3), still transcoding
+        function fallbackSession(sessionKey, selectedStreamId) {
+            const session = buildSession(sessionKey, selectedStreamId, { key: `/transcode/sessions/${sessionKey}`, audioDecision: 'transcode' });
+            session.Media[0].Part[0].Stream.push({ id: 3, streamType: 2, codec: 'eac3', selected: selectedStreamId === 3 });
+            return session;
+        }
+
+        async function restart(sessionKey, selectedStreamId, config) {
+            const processingInfo = audioFixer.getProcessingInfo('100', 'player-1');
+            return audioFixer.handleRestartedSession(fallbackSession(sessionKey, selectedStreamId), processingInfo, config);
+        }
+
+        beforeAll(() => {
+            audioFixer.setValidationTimeout(120);
+        });
+
+        beforeEach(() => {
+            jest.resetAllMocks();
+            audioFixer.clearProcessedMedia();
+            plexClient.fetchMetadata.mockResolvedValue(fallbackSession('5', 1));
+            plexClient.fetchManagedUserTokens.mockResolvedValue({});
+            plexClient.getOwnerToken.mockReturnValue('owner-token');
+        });
+
+        it('should try the next ranked stream when the restarted session still transcodes', async () => {
+            await audioFixer.processTranscodingSession(fallbackSession('5', 1), fallbackConfig);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, 2, 'owner-token', false);
+
+            expect(await restart('6', 2, fallbackConfig)).toBe('retrying');
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, '3', 'owner-token', false);
+            expect(plexClient.terminateSession).toHaveBeenCalledTimes(2);
+            const processingInfo = audioFixer.getProcessingInfo('100', 'player-1');
+            expect(processingInfo.expectedStreamId).toBe('3');
+            expect(processingInfo.attempts).toBe(2);
+            expect(processingInfo.originalSessionKey).toBe('6');
+        });
+
+        it('should revert to the original stream after max_attempts', async () => {
+            await audioFixer.processTranscodingSession(fallbackSession('5', 1), fallbackConfig);
+            await restart('6', 2, fallbackConfig);
+
+            expect(await restart('7', 3, fallbackConfig)).toBe('reverted');
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(3);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, 1, 'owner-token', false);
+            expect(audioFixer.getProcessingInfo('100', 'player-1').outcome).toBe('reverted');
+        });
+
+        it('should stop at max_attempts without trying further streams', async () => {
+            const config = { ...fallbackConfig, fallback: { max_attempts: 1, revert_to_original: true } };
+            await audioFixer.processTranscodingSession(fallbackSession('5', 1), config);
+
+            expect(await restart('6', 2, config)).toBe('reverted');
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(2);
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalledWith(10, '3', 'owner-token', false);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, 1, 'owner-token', false);
+        });
+
+        it('should keep the switched stream when revert_to_original is disabled', async () => {
+            const config = { ...fallbackConfig, fallback: { max_attempts: 1, revert_to_original: false } };
+            await audioFixer.processTranscodingSession(fallbackSession('5', 1), config);
+
+            expect(await restart('6', 2, config)).toBe('failed');
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+            expect(audioFixer.getProcessingInfo('100', 'player-1').outcome).toBe('failed');
+        });
+
+        describe('without restarting the session', () => {
+            async function failFirstSwitch(config, overrides) {
+                await audioFixer.processTranscodingSession({ ...fallbackSession('5', 1), Player: { machineIdentifier: 'player-1', state: 'paused' } }, config);
+                const restarted = { ...fallbackSession('6', 2), ...overrides };
+                expect(await audioFixer.handleRestartedSession(restarted, audioFixer.getProcessingInfo('100', 'player-1'), config)).toBe('retrying');
+                return restarted;
+            }
+
+            it('should settle a fallback switch past offset_threshold', async () => {
+                const config = { ...fallbackConfig, termination: { strategy: 'offset_threshold', max_view_offset_seconds: 60 } };
+                const restarted = await failFirstSwitch(config, { viewOffset: 600000 });
+
+                const processingInfo = audioFixer.getProcessingInfo('100', 'player-1');
+                expect(processingInfo).toMatchObject({ attempts: 2, triedStreamIds: ['2', '3'], outcome: 'switched' });
+
+                // Later events for the same session don't switch again
+                expect(await audioFixer.handleRestartedSession(restarted, processingInfo, config)).toBe('switched');
+                expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(2);
+                expect(journal.record).toHaveBeenCalledTimes(2);
+                expect(plexClient.terminateSession).toHaveBeenCalledTimes(1);
+            });
+
+            it('should await validation of a deferred fallback switch', async () => {
+                const config = { ...fallbackConfig, termination: { strategy: 'defer' } };
+                const restarted = await failFirstSwitch(config, { Player: { machineIdentifier: 'player-1', state: 'playing' } });
+
+                const processingInfo = audioFixer.getProcessingInfo('100', 'player-1');
+                expect(processingInfo).toMatchObject({ attempts: 2, expectedStreamId: '3', originalSessionKey: '6', outcome: null });
+                expect(await audioFixer.handleRestartedSession(restarted, processingInfo, config)).toBe('pending');
+                expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(2);
+
+                const paused = { ...restarted, Player: { machineIdentifier: 'player-1', state: 'paused' } };
+                await audioFixer.processDeferredTerminations([paused], config);
+                expect(plexClient.terminateSession).toHaveBeenCalledTimes(2);
+                expect(audioFixer.getProcessingInfo('100', 'player-1')).toMatchObject({ attempts: 2, expectedStreamId: '3' });
+            });
+
+            it('should settle a deferred switch when the session ends without a pause', async () => {
+                const config = { ...fallbackConfig, termination: { strategy: 'defer' } };
+                await failFirstSwitch(config, { Player: { machineIdentifier: 'player-1', state: 'playing' } });
+
+                await audioFixer.processDeferredTerminations([], config);
+
+                expect(audioFixer.getProcessingInfo('100', 'player-1')).toMatchObject({ attempts: 2, outcome: 'switched' });
+            });
+        });
+
+        it('should not count a validated restart as a failure', async () => {
+            await audioFixer.processTranscodingSession(fallbackSession('5', 1), fallbackConfig);
+            const restarted = fallbackSession('6', 2);
+            restarted.TranscodeSession = undefined;
+            const processingInfo = audioFixer.getProcessingInfo('100', 'player-1');
+
+            expect(await audioFixer.handleRestartedSession(restarted, processingInfo, fallbackConfig)).toBe('validated');
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('admin state', () => {
+        const switchConfig = {
+            dry_run: false,
+            terminate_stream: true,
+            in_place_switch: false,
+            accept_audio_copy: true,
+            owner_username: 'owner',
+            termination: { strategy: 'immediate' },
+            fallback: { max_attempts: 1, revert_to_original: false },
+            audio_selector: [{ codec: 'ac3' }]
+        };
+
+        beforeAll(() => {
+            audioFixer.setValidationTimeout(120);
+        });
+
+        beforeEach(async () => {
+            jest.resetAllMocks();
+            audioFixer.clearProcessedMedia();
+            plexClient.fetchMetadata.mockResolvedValue(buildSession('5', 1));
+            plexClient.fetchManagedUserTokens.mockResolvedValue({});
+            plexClient.getOwnerToken.mockReturnValue('owner-token');
+
+            const session = buildSession('5', 1, { key: '/transcode/sessions/abc', audioDecision: 'transcode' });
+            await audioFixer.processTranscodingSession(session, switchConfig);
+        });
+
+        it('should list switches awaiting validation', () => {
+            expect(audioFixer.getPendingValidations()).toEqual([expect.objectContaining({
+                ratingKey: '100',
+                playerUuid: 'player-1',
+                originalStreamId: 1,
+                expectedStreamId: 2,
+                attempts: 1,
+                inPlace: false
+            })]);
+        });
+
+        it('should list recent actions newest first', async () => {
+            await audioFixer.handleRestartedSession(
+                buildSession('6', 2),
+                audioFixer.getProcessingInfo('100', 'player-1'),
+                switchConfig
+            );
+
+            const actions = audioFixer.getRecentActions(3);
+            expect(actions.map(a => a.action)).toEqual(['validated', 'terminate', 'switch']);
+            expect(actions[2]).toMatchObject({ ratingKey: '100', source: 'live', oldStreamId: 1, newStreamId: 2, dryRun: false });
+            expect(audioFixer.getPendingValidations()).toEqual([]);
+        });
+
+        it('should clear processed state of one item', () => {
+            expect(audioFixer.clearProcessedMedia('200')).toBe(0);
+            expect(audioFixer.isProcessed('100')).toBe(true);
+
+            expect(audioFixer.clearProcessedMedia('100')).toBe(1);
+            expect(audioFixer.isProcessed('100')).toBe(false);
+            expect(audioFixer.getPendingValidations()).toEqual([]);
+        });
+    });
+
+    describe('processing state reload', () => {
+        beforeEach(() => {
+            jest.resetAllMocks();
+            audioFixer.setValidationTimeout(120);
+        });
+
+        it('should restore recent entries and drop expired ones', () => {
+            const now = Date.now();
+            stateStore.load.mockImplementation((filename, fallback) => (filename === 'processing_state.json' ? {
+                '100:player-1': { ratingKey: '100', playerUuid: 'player-1', timestamp: now - 60000, expectedStreamId: 2 },
+                '200:player-1': { ratingKey: '200', playerUuid: 'player-1', timestamp: now - 180000, expectedStreamId: 2 },
+                '300:player-1': { ratingKey: '300', playerUuid: 'player-1' }
+            } : fallback));
+
+            audioFixer.loadProcessedMedia();
+
+            expect(stateStore.save).toHaveBeenLastCalledWith('processing_state.json', {
+                '100:player-1': expect.objectContaining({ ratingKey: '100' })
+            });
+            expect(audioFixer.getProcessingInfo('100', 'player-1')).toMatchObject({ expectedStreamId: 2 });
+            expect(audioFixer.isProcessed('200')).toBe(false);
+        });
+
+        it('should start empty without saved state', () => {
+            stateStore.load.mockImplementation((filename, fallback) => fallback);
+
+            audioFixer.loadProcessedMedia();
+
+            expect(audioFixer.isProcessed('100')).toBe(false);
+            expect(stateStore.save).toHaveBeenLastCalledWith('processing_state.json', {});
+        });
+    });
+
+    describe('temporary switch restore', () => {
+        const restoreConfig = {
+            dry_run: false,
+            terminate_stream: true,
+            in_place_switch: false,
+            temporary_switch: true,
+            accept_audio_copy: true,
+            owner_username: 'owner',
+            termination: { strategy: 'immediate' },
+            fallback: { max_attempts: 1, revert_to_original: false },
+            audio_selector: [{ codec: 'ac3' }]
+        };
+
+        function transcodingSession(overrides = {}) {
+            return {
+                ...buildSession('5', 1, { key: '/transcode/sessions/abc', audioDecision: 'transcode' }),
+                ...overrides
+            };
+        }
+
+        beforeAll(() => {
+            audioFixer.setValidationTimeout(120);
+        });
+
+        beforeEach(() => {
+            jest.resetAllMocks();
+            stateStore.load.mockImplementation((filename, fallback) => fallback);
+            audioFixer.clearProcessedMedia();
+            audioFixer.loadPendingRestores();
+            plexClient.fetchMetadata.mockResolvedValue(buildSession('5', 1));
+            plexClient.fetchManagedUserTokens.mockResolvedValue({});
+            plexClient.getOwnerToken.mockReturnValue('owner-token');
+        });
+
+        it('should restore when the session was not terminated (offset_threshold)', async () => {
+            const config = { ...restoreConfig, termination: { strategy: 'offset_threshold', max_view_offset_seconds: 60 } };
+            await audioFixer.processTranscodingSession(transcodingSession({ viewOffset: 600000 }), config);
+            expect(plexClient.terminateSession).not.toHaveBeenCalled();
+
+            expect(await audioFixer.handleSessionStopped('100', 'player-1', config)).toBe(true);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, 1, 'owner-token', false);
+        });
+
+        it('should wait for validation when a deferred termination runs', async () => {
+            const config = { ...restoreConfig, termination: { strategy: 'defer' } };
+            const session = transcodingSession({ Player: { title: 'TV', machineIdentifier: 'player-1', state: 'playing' } });
+            await audioFixer.processTranscodingSession(session, config);
+
+            const paused = { ...session, Player: { ...session.Player, state: 'paused' } };
+            await audioFixer.processDeferredTerminations([paused], config);
+            expect(plexClient.terminateSession).toHaveBeenCalled();
+
+            expect(await audioFixer.handleSessionStopped('100', 'player-1', config)).toBe(false);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+        });
+
+        it('should restore when a deferred session stops without pausing', async () => {
+            const config = { ...restoreConfig, termination: { strategy: 'defer' } };
+            const session = transcodingSession({ Player: { title: 'TV', machineIdentifier: 'player-1', state: 'playing' } });
+            await audioFixer.processTranscodingSession(session, config);
+
+            await audioFixer.processDeferredTerminations([], config);
+            await audioFixer.restoreEndedSessions([], config);
+
+            expect(plexClient.terminateSession).not.toHaveBeenCalled();
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, 1, 'owner-token', false);
+        });
+
+        it('should write the original stream back on stop once validated', async () => {
+            await audioFixer.processTranscodingSession(transcodingSession(), restoreConfig);
+            expect(await audioFixer.handleSessionStopped('100', 'player-1', restoreConfig)).toBe(false);
+
+            await audioFixer.handleRestartedSession(
+                buildSession('6', 2),
+                audioFixer.getProcessingInfo('100', 'player-1'),
+                restoreConfig
+            );
+
+            expect(await audioFixer.handleSessionStopped('100', 'player-1', restoreConfig)).toBe(true);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, 1, 'owner-token', false);
+            // Restored once only
+            expect(await audioFixer.handleSessionStopped('100', 'player-1', restoreConfig)).toBe(false);
+        });
+
+        it('should keep pending restores across a restart', async () => {
+            const config = { ...restoreConfig, termination: { strategy: 'offset_threshold', max_view_offset_seconds: 60 } };
+            await audioFixer.processTranscodingSession(transcodingSession({ viewOffset: 600000 }), config);
+
+            const saves = stateStore.save.mock.calls.filter(([filename]) => filename === 'restore_state.json');
+            const saved = JSON.parse(JSON.stringify(saves[saves.length - 1][1]));
+            stateStore.load.mockImplementation((filename, fallback) => (filename === 'restore_state.json' ? saved : fallback));
+            audioFixer.loadPendingRestores();
+
+            await audioFixer.restoreEndedSessions([], config);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenLastCalledWith(10, 1, 'owner-token', false);
+        });
+
+        it('should not record restores in dry run', async () => {
+            const config = { ...restoreConfig, dry_run: true, termination: { strategy: 'offset_threshold', max_view_offset_seconds: 60 } };
+            await audioFixer.processTranscodingSession(transcodingSession({ viewOffset: 600000 }), config);
+
+            expect(await audioFixer.handleSessionStopped('100', 'player-1', config)).toBe(false);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+            expect(stateStore.save).not.toHaveBeenCalledWith('restore_state.json', expect.anything());
+        });
+    });
+
+    describe('webhook mode', () => {
+        const webhookConfig = {
+            dry_run: false,
+            terminate_stream: true,
+            accept_audio_copy: true,
+            owner_username: 'owner',
+            termination: { strategy: 'offset_threshold', max_view_offset_seconds: 60 },
+            audio_selector: [{ codec: 'ac3' }],
+            webhook: { initial_delay_ms: 0, session_retry: { max_attempts: 1, initial_delay_ms: 0 } }
+        };
+
+        function play(event) {
+            return { event, Account: { title: 'owner' }, Player: { uuid: 'player-1' }, Metadata: { ratingKey: '100' } };
+        }
+
+        beforeAll(() => {
+            audioFixer.setValidationTimeout(120);
+        });
+
+        beforeEach(() => {
+            jest.resetAllMocks();
+            audioFixer.clearProcessedMedia();
+            plexClient.fetchMetadata.mockResolvedValue(buildSession('5', 1));
+            plexClient.fetchManagedUserTokens.mockResolvedValue({});
+            plexClient.getOwnerToken.mockReturnValue('owner-token');
+        });
+
+        it('should not switch again when termination was skipped (offset_threshold)', async () => {
+            const session = { ...buildSession('5', 1, { key: '/transcode/sessions/abc', audioDecision: 'transcode' }), viewOffset: 600000 };
+            plexClient.fetchSessions.mockResolvedValue([session]);
+
+            await processWebhook(play('media.play'), webhookConfig);
+            await processWebhook(play('media.resume'), webhookConfig);
+            await processWebhook(play('media.play'), webhookConfig);
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+            expect(journal.record).toHaveBeenCalledTimes(1);
+            expect(plexClient.terminateSession).not.toHaveBeenCalled();
+            expect(audioFixer.isProcessed('100')).toBe(true);
+        });
+    });
+});
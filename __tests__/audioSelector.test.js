@@ -0,0 +1,119 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { selectBestAudioStream, rankAudioStreams, getSelectionOptions } = require('../audioSelector');
+
+function buildMedia(streams) {
+    return {
+        ratingKey: '100',
+        Media: [{
+            Part: [{
+                id: 1,
+                Stream: streams
+            }]
+        }]
+    };
+}
+
+describe('audioSelector', () => {
+    const streams = [
+        { id: 1, streamType: 2, codec: 'truehd', channels: 8, language: 'English', selected: true },
+        { id: 2, streamType: 2, codec: 'aac', channels: 2, language: 'English' },
+        { id: 3, streamType: 2, codec: 'ac3', channels: 6, language: 'English' },
+        { id: 4, streamType: 2, codec: 'ac3', channels: 6, language: 'German' }
+    ];
+
+    describe('first_match mode', () => {
+        it('should return stream matched by the first rule', () => {
+            const rules = [{ codec: 'aac' }, { codec: 'ac3', channels: 6 }];
+            const best = selectBestAudioStream(buildMedia(streams), 1, rules);
+            expect(best.id).toBe(2);
+        });
+
+        it('should return undefined when no rule matches', () => {
+            const rules = [{ codec: 'dts' }];
+            expect(selectBestAudioStream(buildMedia(streams), 1, rules)).toBeUndefined();
+        });
+    });
+
+    describe('score mode', () => {
+        it('should prefer the stream matching more weighted criteria', () => {
+            const rules = [
+                { codec: 'aac' },
+                { codec: 'ac3', channels: 6, language: 'original' }
+            ];
+            const best = selectBestAudioStream(buildMedia(streams), 1, rules, { mode: 'score' });
+            expect(best.id).toBe(3);
+        });
+
+        it('should apply per-rule weight', () => {
+            const rules = [
+                { codec: 'aac', weight: 10 },
+                { codec: 'ac3', channels: 6, language: 'original' }
+            ];
+            const best = selectBestAudioStream(buildMedia(streams), 1, rules, { mode: 'score' });
+            expect(best.id).toBe(2);
+        });
+
+        it('should only consider streams fully matching a rule', () => {
+            const rules = [{ codec: 'ac3', language: 'fra' }, { codec: 'aac' }];
+            const best = selectBestAudioStream(buildMedia(streams), 1, rules, { mode: 'score' });
+            expect(best.id).toBe(2);
+        });
+
+        it('should break ties by lowest stream id', () => {
+            const rules = [{ codec: 'ac3', channels: 6 }];
+            const best = selectBestAudioStream(buildMedia(streams), 1, rules, { mode: 'score' });
+            expect(best.id).toBe(3);
+        });
+
+        it('should use custom weights', () => {
+            const rules = [{ codec: 'aac' }, { channels: 6, language: 'deu' }];
+            const options = { mode: 'score', weights: { codec: 1, channels: 5, language: 5 } };
+            const tagged = streams.map(s => (s.id === 4 ? { ...s, language: 'deu' } : s));
+            const best = selectBestAudioStream(buildMedia(tagged), 1, rules, options);
+            expect(best.id).toBe(4);
+        });
+    });
+
+    describe('rankAudioStreams', () => {
+        it('should order first_match candidates by rule then stream order', () => {
+            const rules = [{ codec: 'ac3', language: 'deu' }, { codec: 'aac' }, { codec: 'ac3' }];
+            const tagged = streams.map(s => (s.id === 4 ? { ...s, language: 'deu' } : s));
+            const ranked = rankAudioStreams(buildMedia(tagged), 1, rules);
+            expect(ranked.map(c => c.stream.id)).toEqual([4, 2, 3]);
+            expect(ranked.map(c => c.rule)).toEqual([0, 1, 2]);
+        });
+
+        it('should order score candidates by score', () => {
+            const rules = [{ codec: 'aac' }, { codec: 'ac3', channels: 6, language: 'original' }];
+            const ranked = rankAudioStreams(buildMedia(streams), 1, rules, { mode: 'score' });
+            expect(ranked.map(c => c.stream.id)).toEqual([3, 2]);
+        });
+
+        it('should exclude the current stream', () => {
+            const ranked = rankAudioStreams(buildMedia(streams), 2, [{ codec: 'aac' }]);
+            expect(ranked).toEqual([]);
+        });
+    });
+
+    describe('getSelectionOptions', () => {
+        it('should default to first_match with default weights', () => {
+            const options = getSelectionOptions({});
+            expect(options.mode).toBe('first_match');
+            expect(options.weights).toEqual({ codec: 4, channels: 2, language: 3, keywords: 1 });
+        });
+
+        it('should merge configured weights over defaults', () => {
+            const options = getSelectionOptions({ audio_selector_mode: 'score', audio_selector_weights: { codec: 9 } });
+            expect(options.mode).toBe('score');
+            expect(options.weights.codec).toBe(9);
+            expect(options.weights.language).toBe(3);
+        });
+    });
+});
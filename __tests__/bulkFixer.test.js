@@ -0,0 +1,435 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+jest.mock('../plexClient');
+jest.mock('../stateStore');
+jest.mock('../journal');
+
+const logger = require('../logger');
+const plexClient = require('../plexClient');
+const stateStore = require('../stateStore');
+const journal = require('../journal');
+const bulkFixer = require('../bulkFixer');
+
+function buildItem(selectedStreamId, ratingKey = '100', updatedAt = 1000) {
+    return {
+        ratingKey,
+        type: 'movie',
+        title: 'Movie',
+        updatedAt,
+        Media: [{
+            Part: [{
+                id: 10,
+                Stream: [
+                    { id: 1, streamType: 2, codec: 'truehd', selected: selectedStreamId === 1 },
+                    { id: 2, streamType: 2, codec: 'ac3', selected: selectedStreamId === 2 }
+                ]
+            }]
+        }]
+    };
+}
+
+function mockLibraryItems(items, error) {
+    const updatedAt = Math.max(0, ...items.map(item => item.updatedAt));
+    plexClient.fetchLatestUpdate.mockResolvedValue({ updatedAt, totalSize: items.length });
+    plexClient.iterateLibraryItems.mockImplementation(async function* () {
+        yield* items;
+        if (error) throw error;
+    });
+}
+
+describe('bulkFixer', () => {
+    const config = {
+        dry_run: false,
+        owner_username: 'owner',
+        audio_selector: [{ codec: 'ac3' }],
+        pre_selection: { enabled: true }
+    };
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        stateStore.load.mockReturnValue({});
+
+        plexClient.fetchLibraries.mockResolvedValue([{ key: '1', uuid: 'uuid-1', title: 'Movies', type: 'movie' }]);
+        mockLibraryItems([buildItem(1)]);
+        plexClient.fetchManagedUsers.mockResolvedValue([
+            { id: '5', title: 'oma', token: 'oma-token', allLibraries: true, sections: [] },
+            { id: '6', title: 'friend', token: 'friend-token', allLibraries: false, sections: ['TV Shows'] }
+        ]);
+    });
+
+    it('should evaluate and apply the selection per user', async () => {
+        // oma already selected the ac3 track, owner has not
+        plexClient.fetchMetadata.mockResolvedValue(buildItem(2));
+
+        await bulkFixer.run(config);
+
+        expect(plexClient.fetchMetadata).toHaveBeenCalledWith('100', 'oma-token');
+        expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+        expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, null, false);
+    });
+
+    it('should journal applied switches with the previous stream', async () => {
+        journal.createRunId.mockReturnValue('bulk-1');
+        plexClient.fetchMetadata.mockResolvedValue(buildItem(2));
+
+        await bulkFixer.run(config);
+
+        expect(journal.record).toHaveBeenCalledWith({
+            source: 'bulk',
+            runId: 'bulk-1',
+            ratingKey: '100',
+            title: 'Movie',
+            partId: 10,
+            user: { id: null, title: 'owner' },
+            oldStreamId: 1,
+            newStreamId: 2,
+            rule: 'global#1'
+        });
+    });
+
+    it('should skip users without access to the library', async () => {
+        plexClient.fetchMetadata.mockResolvedValue(buildItem(1));
+
+        await bulkFixer.run(config);
+
+        expect(plexClient.fetchMetadata).not.toHaveBeenCalledWith('100', 'friend-token');
+        expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, 'oma-token', false);
+    });
+
+    it('should only process users listed in pre_selection.users', async () => {
+        plexClient.fetchMetadata.mockResolvedValue(buildItem(1));
+        const filtered = { ...config, pre_selection: { enabled: true, users: ['friend'] } };
+
+        await bulkFixer.run(filtered);
+
+        // friend has no access to Movies, owner and oma are not listed
+        expect(plexClient.fetchMetadata).not.toHaveBeenCalledWith('100', 'oma-token');
+        expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+    });
+
+    it('should include the owner in pre_selection.users by owner_username', async () => {
+        plexClient.fetchMetadata.mockResolvedValue(buildItem(1));
+        const filtered = { ...config, pre_selection: { enabled: true, users: ['owner'] } };
+
+        await bulkFixer.run(filtered);
+
+        expect(plexClient.fetchMetadata).not.toHaveBeenCalledWith('100', 'oma-token');
+        expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+        expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, null, false);
+    });
+
+    it('should never touch an owner excluded by users.exclude', async () => {
+        plexClient.fetchMetadata.mockResolvedValue(buildItem(1));
+        const excluded = { ...config, users: { exclude: ['owner'] } };
+
+        await bulkFixer.run(excluded);
+
+        expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+        expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, 'oma-token', false);
+    });
+
+    describe('plan', () => {
+        beforeEach(() => {
+            plexClient.fetchManagedUsers.mockResolvedValue([]);
+        });
+
+        it('should return proposed changes without applying them', async () => {
+            const changes = await bulkFixer.plan(config);
+
+            expect(changes).toEqual([{
+                ratingKey: '100',
+                title: 'Movie',
+                partId: 10,
+                user: { id: null, title: 'owner' },
+                oldStream: { id: 1, codec: 'truehd', channels: null, language: null, title: null },
+                newStream: { id: 2, codec: 'ac3', channels: null, language: null, title: null },
+                rule: 'global#1'
+            }]);
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+            expect(journal.record).not.toHaveBeenCalled();
+        });
+
+        it('should cover the whole library and leave scan state alone', async () => {
+            stateStore.load.mockReturnValue({ 'uuid-1': { title: 'Movies', lastScanTime: 5000 } });
+
+            const changes = await bulkFixer.plan(config);
+
+            expect(changes).toHaveLength(1);
+            expect(stateStore.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('previewItem', () => {
+        it('should show the owner selection without applying it', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(buildItem(1));
+
+            const preview = await bulkFixer.previewItem('100', config);
+
+            expect(plexClient.fetchMetadata).toHaveBeenCalledWith('100', null);
+            expect(preview).toEqual({
+                ratingKey: '100',
+                title: 'Movie',
+                user: { id: null, title: 'owner' },
+                parts: [{
+                    partId: 10,
+                    current: { id: 1, codec: 'truehd', channels: null, language: null, title: null },
+                    selected: { id: 2, codec: 'ac3', channels: null, language: null, title: null },
+                    changed: true,
+                    rule: 'global#1'
+                }]
+            });
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+        });
+
+        it('should use the selection and rules of a managed user', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(buildItem(2));
+            const overridden = { ...config, users: { overrides: [{ user: 'oma', audio_selector: [{ codec: 'truehd' }] }] } };
+
+            const preview = await bulkFixer.previewItem('100', overridden, '5');
+
+            expect(plexClient.fetchMetadata).toHaveBeenCalledWith('100', 'oma-token');
+            expect(preview.user).toEqual({ id: '5', title: 'oma' });
+            expect(preview.parts[0]).toMatchObject({ selected: { id: 1 }, changed: true, rule: 'user:oma#1' });
+        });
+
+        it('should return null for unknown users', async () => {
+            expect(await bulkFixer.previewItem('100', config, 'stranger')).toBeNull();
+            expect(plexClient.fetchMetadata).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('batch settings', () => {
+        beforeEach(() => {
+            plexClient.fetchManagedUsers.mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should report updated and failed items', async () => {
+            mockLibraryItems([buildItem(1, '100'), buildItem(1, '101')]);
+            plexClient.setSelectedAudioStream
+                .mockResolvedValueOnce()
+                .mockRejectedValueOnce(new Error('timeout'));
+
+            await bulkFixer.run(config);
+
+            expect(logger.info).toHaveBeenCalledWith('Bulk Pre-selection Complete. Processed: 2, Updated: 1, Failed: 1, Skipped: 0');
+        });
+
+        it('should log progress with an ETA', async () => {
+            jest.useFakeTimers();
+            let finish;
+            plexClient.setSelectedAudioStream.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+            plexClient.iterateLibraryItems.mockImplementation(async function* (sectionId, itemType, { onTotalSize }) {
+                onTotalSize(2);
+                yield buildItem(2, '100');
+                yield buildItem(1, '101');
+            });
+
+            const running = bulkFixer.run(config);
+            await jest.advanceTimersByTimeAsync(60000);
+
+            expect(logger.info).toHaveBeenCalledWith('[Bulk] Movies: 1 processed, 0 changed, 0 failed (0.0/s, ETA 1m 00s)');
+            finish();
+            await running;
+        });
+
+        it('should reject an invalid concurrency', async () => {
+            const invalid = { ...config, pre_selection: { enabled: true, concurrency: 0 } };
+
+            await expect(bulkFixer.run(invalid)).rejects.toThrow('config.pre_selection.concurrency must be an integer from 1 to 50 (got: 0)');
+        });
+    });
+
+    describe('processNewItem', () => {
+        beforeEach(() => {
+            plexClient.fetchManagedUsers.mockResolvedValue([]);
+        });
+
+        function withSection(item, extra = {}) {
+            return { ...item, librarySectionUUID: 'uuid-1', librarySectionTitle: 'Movies', ...extra };
+        }
+
+        it('should pre-select a new movie and journal it as new', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(withSection(buildItem(1)));
+
+            await bulkFixer.processNewItem('100', config);
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, null, false);
+            expect(journal.record).toHaveBeenCalledWith(expect.objectContaining({ source: 'new', runId: null }));
+        });
+
+        it('should expand a season to episodes not yet scanned', async () => {
+            stateStore.load.mockReturnValue({ 'uuid-1': { title: 'Movies', lastScanTime: 1500 } });
+            const season = withSection({ ratingKey: '50', type: 'season', title: 'Season 2', parentRatingKey: '40' });
+            const episode = (ratingKey, updatedAt) => ({ ...buildItem(1, ratingKey, updatedAt), type: 'episode', Media: undefined });
+            plexClient.fetchMetadata.mockImplementation(async (ratingKey) => {
+                if (ratingKey === '50') return season;
+                if (ratingKey === '40') return { ratingKey: '40', type: 'show' };
+                return { ...buildItem(1, ratingKey), type: 'episode' };
+            });
+            plexClient.fetchLeaves.mockResolvedValue([episode('101', 1000), episode('102', 2000)]);
+
+            await bulkFixer.processNewItem('50', config);
+
+            expect(plexClient.fetchLeaves).toHaveBeenCalledWith('50');
+            expect(plexClient.fetchMetadata).not.toHaveBeenCalledWith('101', null);
+            expect(plexClient.fetchMetadata).toHaveBeenCalledWith('102', null);
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+        });
+
+        it('should skip libraries not in pre_selection.libraries', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(withSection(buildItem(1), { librarySectionTitle: 'Kids' }));
+
+            await bulkFixer.processNewItem('100', { ...config, pre_selection: { enabled: true, libraries: ['Movies'] } });
+
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+        });
+
+        it('should skip items excluded by scope', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(withSection(buildItem(1), { Label: [{ tag: 'keep-audio' }] }));
+
+            await bulkFixer.processNewItem('100', { ...config, pre_selection: { enabled: true, scope: { exclude_labels: ['keep-audio'] } } });
+
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+        });
+
+        it('should do nothing when pre-selection is disabled', async () => {
+            await bulkFixer.processNewItem('100', { ...config, pre_selection: { enabled: false } });
+
+            expect(plexClient.fetchMetadata).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('scan state', () => {
+        beforeEach(() => {
+            plexClient.fetchManagedUsers.mockResolvedValue([]);
+            plexClient.fetchMetadata.mockResolvedValue(buildItem(2));
+        });
+
+        it('should save progress keyed by section uuid', async () => {
+            await bulkFixer.run(config);
+
+            expect(stateStore.save).toHaveBeenLastCalledWith('scan_state.json', {
+                'uuid-1': { title: 'Movies', lastScanTime: 1000 }
+            });
+        });
+
+        it('should migrate legacy title keys', async () => {
+            stateStore.load.mockReturnValue({ Movies: 1000 });
+
+            await bulkFixer.run(config);
+
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+            expect(stateStore.save).toHaveBeenLastCalledWith('scan_state.json', {
+                'uuid-1': { title: 'Movies', lastScanTime: 1000 }
+            });
+        });
+
+        it('should resume after the checkpoint of a renamed library', async () => {
+            stateStore.load.mockReturnValue({ 'uuid-1': { title: 'Films', lastScanTime: 1500 } });
+            mockLibraryItems([
+                buildItem(1, '100', 1000),
+                buildItem(1, '101', 2000)
+            ]);
+
+            await bulkFixer.run(config);
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+            expect(stateStore.save).toHaveBeenLastCalledWith('scan_state.json', {
+                'uuid-1': { title: 'Movies', lastScanTime: 2000 }
+            });
+        });
+
+        it('should rescan from the start when the scope changed', async () => {
+            stateStore.load.mockReturnValue({ 'uuid-1': { title: 'Movies', lastScanTime: 5000 } });
+            plexClient.fetchLibraryTags.mockResolvedValue([{ id: '12', title: 'keep-audio' }]);
+            mockLibraryItems([buildItem(1, '100', 1000)]);
+            const scoped = { ...config, pre_selection: { enabled: true, scope: { exclude_labels: ['keep-audio'] } } };
+
+            await bulkFixer.run(scoped);
+
+            expect(plexClient.iterateLibraryItems).toHaveBeenCalledWith('1', undefined, {
+                filters: { 'label!': '12' },
+                updatedAfter: 0,
+                updatedUntil: 1000,
+                throttle: expect.any(Function),
+                onTotalSize: expect.any(Function)
+            });
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledTimes(1);
+            expect(stateStore.save).toHaveBeenLastCalledWith('scan_state.json', {
+                'uuid-1': { title: 'Movies', lastScanTime: 1000, scope: '[["exclude_labels",["keep-audio"]]]' }
+            });
+        });
+
+        it('should request items updated between the checkpoint and the scan start', async () => {
+            stateStore.load.mockReturnValue({ 'uuid-1': { title: 'Movies', lastScanTime: 500 } });
+
+            await bulkFixer.run(config);
+
+            expect(plexClient.fetchLatestUpdate).toHaveBeenCalledWith('1', undefined, undefined);
+            expect(plexClient.iterateLibraryItems).toHaveBeenCalledWith('1', undefined, {
+                filters: undefined,
+                updatedAfter: 500,
+                updatedUntil: 1000,
+                throttle: expect.any(Function),
+                onTotalSize: expect.any(Function)
+            });
+        });
+
+        it('should not page through a library without changes', async () => {
+            stateStore.load.mockReturnValue({ 'uuid-1': { title: 'Movies', lastScanTime: 1000 } });
+
+            await bulkFixer.run(config);
+
+            expect(plexClient.iterateLibraryItems).not.toHaveBeenCalled();
+            expect(logger.info).toHaveBeenCalledWith('Library Movies: Found 1 total. Processed 0 changed items: 0 updated, 0 failed. (Skipped 1)');
+        });
+
+        it('should checkpoint finished items when a page fails', async () => {
+            mockLibraryItems([
+                buildItem(1, '100', 1000),
+                buildItem(1, '101', 2000),
+                buildItem(1, '102', 2000)
+            ], new Error('timeout'));
+
+            await bulkFixer.run(config);
+
+            expect(stateStore.save).toHaveBeenLastCalledWith('scan_state.json', {
+                'uuid-1': { title: 'Movies', lastScanTime: 1999 }
+            });
+        });
+
+        it('should let running workers finish when a page fails', async () => {
+            let finish;
+            mockLibraryItems([buildItem(1, '100', 1000), buildItem(1, '101', 1000)], new Error('Plex Library Items: 500'));
+            // Item 100 finishes, then the next page fails while item 101 is still being updated
+            plexClient.setSelectedAudioStream
+                .mockResolvedValueOnce(undefined)
+                .mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+            const running = bulkFixer.run({ ...config, pre_selection: { enabled: true, concurrency: 2 } });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(bulkFixer.isScanning()).toBe(true);
+            finish();
+            await running;
+            expect(bulkFixer.isScanning()).toBe(false);
+            expect(logger.error).toHaveBeenCalledWith('Bulk Run Error: Plex Library Items: 500');
+        });
+
+        it('should not save state in dry run', async () => {
+            await bulkFixer.run({ ...config, dry_run: true });
+
+            expect(stateStore.save).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -175,6 +175,426 @@ describe('config validation', () => {
         });
     });
 
+    describe('audio_selector_mode validation', () => {
+        const validConfig = {
+            plex_server_url: 'http://localhost:32400',
+            auth_method: 'token',
+            plex_token: 'test_token',
+            owner_username: 'test_user',
+            validation_timeout_seconds: 120,
+            plex_api_timeout_seconds: 30,
+            graceful_shutdown_seconds: 30,
+            mode: 'polling',
+            dry_run: true,
+            terminate_stream: true,
+            check_interval: 10,
+            console: {
+                enabled: true,
+                level: 'info'
+            },
+            audio_selector: [{ codec: 'ac3' }]
+        };
+
+        it('should default to first_match', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+
+            expect(loadConfig().audio_selector_mode).toBe('first_match');
+        });
+
+        it('should accept score mode with weights', () => {
+            const config = {
+                ...validConfig,
+                audio_selector_mode: 'score',
+                audio_selector_weights: { codec: 5, language: 2 },
+                audio_selector: [{ codec: 'ac3', weight: 2 }]
+            };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).not.toThrow();
+        });
+
+        it('should default and validate event_queue', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+            expect(loadConfig().event_queue).toEqual({ concurrency: 4, max_size: 1000 });
+
+            mockReadFileSync.mockReturnValue(yaml.dump({ ...validConfig, event_queue: { concurrency: 0 } }));
+            expect(() => loadConfig()).toThrow('event_queue.concurrency must be an integer >= 1 (got: 0)');
+        });
+
+        it('should reject unknown mode', () => {
+            const config = { ...validConfig, audio_selector_mode: 'best' };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/audio_selector_mode must be one of/);
+        });
+
+        it('should reject unknown weight criterion', () => {
+            const config = { ...validConfig, audio_selector_weights: { bitrate: 1 } };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/Invalid audio_selector_weights key: "bitrate"/);
+        });
+
+        it('should reject negative rule weight', () => {
+            const config = { ...validConfig, audio_selector: [{ codec: 'ac3', weight: -1 }] };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/Invalid weight in rule 0/);
+        });
+    });
+
+    describe('device_profiles validation', () => {
+        const validConfig = {
+            plex_server_url: 'http://localhost:32400',
+            auth_method: 'token',
+            plex_token: 'test_token',
+            owner_username: 'test_user',
+            validation_timeout_seconds: 120,
+            plex_api_timeout_seconds: 30,
+            graceful_shutdown_seconds: 30,
+            mode: 'polling',
+            dry_run: true,
+            terminate_stream: true,
+            check_interval: 10,
+            console: {
+                enabled: true,
+                level: 'info'
+            },
+            audio_selector: [{ codec: 'ac3' }]
+        };
+
+        it('should default to empty list', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+
+            expect(loadConfig().device_profiles).toEqual([]);
+        });
+
+        it('should accept valid profile', () => {
+            const config = {
+                ...validConfig,
+                device_profiles: [{ name: 'roku', match: { platform: 'Roku' }, audio_selector: [{ codec: 'aac' }] }]
+            };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).not.toThrow();
+        });
+
+        it('should reject profile without match', () => {
+            const config = { ...validConfig, device_profiles: [{ name: 'roku' }] };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/device_profiles\[0\]\.match required/);
+        });
+
+        it('should reject unknown match key', () => {
+            const config = { ...validConfig, device_profiles: [{ name: 'roku', match: { model: 'x' } }] };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/Invalid device_profiles\[0\]\.match key: "model"/);
+        });
+
+        it('should reject duplicate names', () => {
+            const config = {
+                ...validConfig,
+                device_profiles: [
+                    { name: 'tv', match: { platform: 'Roku' } },
+                    { name: 'tv', match: { platform: 'tvOS' } }
+                ]
+            };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/name duplicated: "tv"/);
+        });
+
+        it('should validate profile rules', () => {
+            const config = {
+                ...validConfig,
+                device_profiles: [{ name: 'roku', match: { platform: 'Roku' }, audio_selector: [{ codec: 'bogus' }] }]
+            };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/Invalid codec in rule 0/);
+        });
+    });
+
+    describe('users validation', () => {
+        const validConfig = {
+            plex_server_url: 'http://localhost:32400',
+            auth_method: 'token',
+            plex_token: 'test_token',
+            owner_username: 'test_user',
+            validation_timeout_seconds: 120,
+            plex_api_timeout_seconds: 30,
+            graceful_shutdown_seconds: 30,
+            mode: 'polling',
+            dry_run: true,
+            terminate_stream: true,
+            check_interval: 10,
+            console: {
+                enabled: true,
+                level: 'info'
+            },
+            audio_selector: [{ codec: 'ac3' }]
+        };
+
+        it('should default to empty lists', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+
+            expect(loadConfig().users).toEqual({ include: [], exclude: [], overrides: [] });
+        });
+
+        it('should accept usernames and ids', () => {
+            const config = {
+                ...validConfig,
+                users: {
+                    include: ['alice', 12345],
+                    exclude: ['kids'],
+                    overrides: [{ user: 'oma', audio_selector: [{ codec: 'ac3', language: 'deu' }] }]
+                }
+            };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).not.toThrow();
+        });
+
+        it('should reject non-array exclude', () => {
+            const config = { ...validConfig, users: { exclude: 'kids' } };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/users.exclude must be an array/);
+        });
+
+        it('should reject override without rules', () => {
+            const config = { ...validConfig, users: { overrides: [{ user: 'oma' }] } };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/users.overrides\[0\]\.audio_selector must be array/);
+        });
+    });
+
+    describe('fallback and temporary_switch validation', () => {
+        const validConfig = {
+            plex_server_url: 'http://localhost:32400',
+            auth_method: 'token',
+            plex_token: 'test_token',
+            owner_username: 'test_user',
+            validation_timeout_seconds: 120,
+            plex_api_timeout_seconds: 30,
+            graceful_shutdown_seconds: 30,
+            mode: 'polling',
+            dry_run: true,
+            terminate_stream: true,
+            check_interval: 10,
+            console: {
+                enabled: true,
+                level: 'info'
+            },
+            audio_selector: []
+        };
+
+        it('should apply defaults', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+
+            expect(loadConfig().fallback).toEqual({ max_attempts: 3, revert_to_original: true });
+        });
+
+        it('should reject max_attempts below 1', () => {
+            const config = { ...validConfig, fallback: { max_attempts: 0 } };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/fallback.max_attempts must be an integer >= 1/);
+        });
+
+        it('should reject temporary_switch without terminate_stream', () => {
+            const config = { ...validConfig, terminate_stream: false, temporary_switch: true };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/temporary_switch requires terminate_stream: true/);
+        });
+
+        it('should reject non-boolean revert_to_original', () => {
+            const config = { ...validConfig, fallback: { revert_to_original: 'yes' } };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/fallback.revert_to_original must be boolean/);
+        });
+
+        it('should default in_place_switch to false', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+
+            expect(loadConfig().in_place_switch).toBe(false);
+        });
+
+        it('should reject non-boolean in_place_switch', () => {
+            const config = { ...validConfig, in_place_switch: 'yes' };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/in_place_switch must be boolean/);
+        });
+
+        it('should apply termination defaults', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+
+            expect(loadConfig().termination).toEqual({ strategy: 'immediate', max_view_offset_seconds: 300 });
+        });
+
+        it('should reject unknown termination strategy', () => {
+            const config = { ...validConfig, termination: { strategy: 'later' } };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/termination.strategy must be one of/);
+        });
+
+        it('should validate device profile termination', () => {
+            const config = {
+                ...validConfig,
+                device_profiles: [{ name: 'tv', match: { device: 'TV' }, termination: { max_view_offset_seconds: -1 } }]
+            };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/device_profiles\[0\].termination.max_view_offset_seconds must be >= 0/);
+        });
+    });
+
+    describe('websocket mode validation', () => {
+        const validConfig = {
+            plex_server_url: 'http://localhost:32400',
+            auth_method: 'token',
+            plex_token: 'test_token',
+            owner_username: 'test_user',
+            validation_timeout_seconds: 120,
+            plex_api_timeout_seconds: 30,
+            graceful_shutdown_seconds: 30,
+            mode: 'websocket',
+            dry_run: true,
+            console: {
+                enabled: true,
+                level: 'info'
+            },
+            audio_selector: []
+        };
+
+        it('should accept websocket mode with defaults', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(validConfig));
+
+            expect(loadConfig().websocket).toEqual({ reconnect_initial_delay_ms: 1000, reconnect_max_delay_ms: 60000 });
+        });
+
+        it('should reject max delay below initial delay', () => {
+            const config = { ...validConfig, websocket: { reconnect_initial_delay_ms: 5000, reconnect_max_delay_ms: 1000 } };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/reconnect_max_delay_ms must be >=/);
+        });
+
+        it('should reject unknown mode', () => {
+            const config = { ...validConfig, mode: 'sse' };
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow(/mode must be one of: webhook, polling, websocket/);
+        });
+    });
+
+    describe('webhook network and auth validation', () => {
+        const validConfig = {
+            plex_server_url: 'http://localhost:32400',
+            auth_method: 'token',
+            plex_token: 'test_token',
+            owner_username: 'test_user',
+            validation_timeout_seconds: 120,
+            plex_api_timeout_seconds: 30,
+            graceful_shutdown_seconds: 30,
+            mode: 'webhook',
+            dry_run: true,
+            console: {
+                enabled: true,
+                level: 'info'
+            },
+            audio_selector: [],
+            webhook: { port: 4444, host: '0.0.0.0', path: '/webhook' }
+        };
+
+        function withNetworks(allowed_networks) {
+            return { ...validConfig, webhook: { ...validConfig.webhook, allowed_networks } };
+        }
+
+        it('should accept IPv4 and IPv6 addresses and ranges', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(withNetworks(['127.0.0.1', '192.168.0.0/16', '::1', 'fd00::/8', 'fe80::%eth0/10'])));
+
+            expect(() => loadConfig()).not.toThrow();
+        });
+
+        it('should reject malformed ranges', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(withNetworks(['127.0.0.1', 'fd00::/200'])));
+
+            expect(() => loadConfig()).toThrow('webhook.allowed_networks[1] invalid prefix length in fd00::/200 (0-128)');
+        });
+
+        it('should reject hostnames', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(withNetworks(['plex.local'])));
+
+            expect(() => loadConfig()).toThrow('webhook.allowed_networks[0] invalid IP or CIDR: plex.local');
+        });
+
+        it('should default signing and proxy settings', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(withNetworks(['127.0.0.1'])));
+
+            const { webhook } = loadConfig();
+            expect(webhook.hmac_secret).toBe('');
+            expect(webhook.hmac_max_age_seconds).toBe(300);
+            expect(webhook.trust_proxy).toBe(false);
+        });
+
+        it('should accept trust_proxy as hop count or proxy networks', () => {
+            for (const trust_proxy of [true, 1, 'loopback, 172.18.0.0/16', ['fd00::/8', 'uniquelocal']]) {
+                const config = withNetworks(['127.0.0.1']);
+                config.webhook.trust_proxy = trust_proxy;
+                mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+                expect(loadConfig().webhook.trust_proxy).toEqual(trust_proxy);
+            }
+        });
+
+        it('should reject invalid trust_proxy entries', () => {
+            const config = withNetworks(['127.0.0.1']);
+            config.webhook.trust_proxy = ['nginx'];
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow('webhook.trust_proxy invalid IP or CIDR: nginx');
+        });
+
+        it('should reject a non-positive hmac_max_age_seconds', () => {
+            const config = withNetworks(['127.0.0.1']);
+            config.webhook.hmac_max_age_seconds = 0;
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow('webhook.hmac_max_age_seconds must be > 0 (got: 0)');
+        });
+
+        it('should disable the admin API by default', () => {
+            mockReadFileSync.mockReturnValue(yaml.dump(withNetworks(['127.0.0.1'])));
+
+            expect(loadConfig().webhook.admin_token).toBe('');
+        });
+
+        it('should reject a short admin_token', () => {
+            const config = withNetworks(['127.0.0.1']);
+            config.webhook.admin_token = 'admin';
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow('webhook.admin_token must be at least 16 characters without spaces');
+        });
+
+        it('should reject an admin_token equal to the webhook secret', () => {
+            const config = withNetworks(['127.0.0.1']);
+            config.webhook.secret = 'same-token-0123456789';
+            config.webhook.admin_token = 'same-token-0123456789';
+            mockReadFileSync.mockReturnValue(yaml.dump(config));
+
+            expect(() => loadConfig()).toThrow('webhook.admin_token must differ from webhook.secret');
+        });
+    });
+
     describe('config_version validation', () => {
         const validConfig = {
             plex_server_url: 'http://localhost:32400',
@@ -0,0 +1,134 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { createEventQueue } = require('../eventQueue');
+
+function event(name, ratingKey, player) {
+    return { event: name, Metadata: { ratingKey }, Player: { uuid: player } };
+}
+
+// Handler whose calls finish only when released
+function controllableHandler() {
+    const calls = [];
+    const handler = jest.fn(payload => new Promise(resolve => calls.push({ payload, resolve })));
+    return { handler, calls };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('eventQueue', () => {
+    it('should process events of one player in order, one at a time', async () => {
+        const { handler, calls } = controllableHandler();
+        const queue = createEventQueue({ concurrency: 4, max_size: 100 }, handler);
+
+        queue.push(event('media.play', '1', 'tv'));
+        queue.push(event('media.stop', '1', 'tv'));
+        await tick();
+
+        expect(calls.map(c => c.payload.event)).toEqual(['media.play']);
+        calls[0].resolve();
+        await tick();
+        expect(calls.map(c => c.payload.event)).toEqual(['media.play', 'media.stop']);
+        calls[1].resolve();
+        await queue.drain();
+    });
+
+    it('should coalesce duplicate waiting events for the same item and player', async () => {
+        const { handler, calls } = controllableHandler();
+        const queue = createEventQueue({ concurrency: 4, max_size: 100 }, handler);
+
+        queue.push(event('media.stop', '1', 'tv'));
+        queue.push(event('media.play', '1', 'tv'));
+        expect(queue.push(event('media.resume', '1', 'tv'))).toBe(false);
+        queue.push(event('media.play', '2', 'tv'));
+
+        for (let i = 0; i < 3; i++) {
+            await tick();
+            calls[i].resolve();
+        }
+        await queue.drain();
+
+        expect(calls.map(c => `${c.payload.event}:${c.payload.Metadata.ratingKey}`)).toEqual(['media.stop:1', 'media.play:1', 'media.play:2']);
+        expect(queue.stats()).toMatchObject({ received: 4, processed: 3, coalesced: 1 });
+    });
+
+    it('should not coalesce across a different event', async () => {
+        const handler = jest.fn().mockResolvedValue();
+        const queue = createEventQueue({ concurrency: 1, max_size: 100 }, handler);
+
+        queue.push(event('media.pause', '1', 'tv'));
+        queue.push(event('media.play', '1', 'tv'));
+        queue.push(event('media.stop', '1', 'tv'));
+        expect(queue.push(event('media.play', '1', 'tv'))).toBe(true);
+        await queue.drain();
+
+        expect(handler.mock.calls.map(([payload]) => payload.event)).toEqual(['media.pause', 'media.play', 'media.stop', 'media.play']);
+    });
+
+    it('should cap concurrency across players', async () => {
+        const { handler, calls } = controllableHandler();
+        const queue = createEventQueue({ concurrency: 2, max_size: 100 }, handler);
+
+        ['a', 'b', 'c'].forEach(player => queue.push(event('media.play', '1', player)));
+        await tick();
+
+        expect(calls).toHaveLength(2);
+        expect(queue.stats()).toMatchObject({ waiting: 1, running: 2 });
+        calls[0].resolve();
+        await tick();
+        expect(calls.map(c => c.payload.Player.uuid)).toEqual(['a', 'b', 'c']);
+        calls.forEach(c => c.resolve());
+        await queue.drain();
+    });
+
+    it('should drop events when full', async () => {
+        const { handler, calls } = controllableHandler();
+        const queue = createEventQueue({ concurrency: 1, max_size: 1 }, handler);
+
+        queue.push(event('media.play', '1', 'a'));
+        queue.push(event('media.play', '1', 'b'));
+        expect(queue.push(event('media.play', '1', 'c'))).toBe(false);
+        expect(queue.stats().dropped).toBe(1);
+
+        await tick();
+        calls[0].resolve();
+        await tick();
+        calls[1].resolve();
+        await queue.drain();
+    });
+
+    it('should keep going after a failed event', async () => {
+        const handler = jest.fn()
+            .mockRejectedValueOnce(new Error('boom'))
+            .mockResolvedValueOnce();
+        const queue = createEventQueue({ concurrency: 1, max_size: 10 }, handler);
+
+        queue.push(event('media.play', '1', 'tv'));
+        queue.push(event('media.stop', '1', 'tv'));
+        await queue.drain();
+
+        expect(queue.stats()).toMatchObject({ processed: 1, failed: 1, waiting: 0, running: 0 });
+    });
+
+    it('should serialize events without a player per item', async () => {
+        const { handler, calls } = controllableHandler();
+        const queue = createEventQueue({ concurrency: 4, max_size: 10 }, handler);
+
+        queue.push({ event: 'library.new', Metadata: { ratingKey: '9' }, Player: { uuid: 'unknown' } });
+        queue.push({ event: 'library.new', Metadata: { ratingKey: '9' } });
+        queue.push({ event: 'library.new', Metadata: { ratingKey: '10' } });
+        await tick();
+
+        expect(calls.map(c => c.payload.Metadata.ratingKey)).toEqual(['9', '10']);
+        expect(queue.stats().coalesced).toBe(0);
+        calls.forEach(c => c.resolve());
+        await tick();
+        calls.forEach(c => c.resolve());
+        await queue.drain();
+    });
+});
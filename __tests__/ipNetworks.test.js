@@ -0,0 +1,87 @@
+const { parseAddress, parseNetwork, matchesNetwork, isAllowedIP } = require('../ipNetworks');
+
+describe('ipNetworks', () => {
+    describe('parseAddress', () => {
+        it('should parse IPv4', () => {
+            expect(parseAddress('192.168.1.10')).toEqual({ version: 4, value: 0xc0a8010an });
+        });
+
+        it('should parse compressed IPv6', () => {
+            expect(parseAddress('fd00::1')).toEqual({ version: 6, value: (0xfd00n << 112n) | 1n });
+            expect(parseAddress('::')).toEqual({ version: 6, value: 0n });
+            expect(parseAddress('2001:db8:0:0:0:0:0:1')).toEqual(parseAddress('2001:DB8::1'));
+        });
+
+        it('should strip zone ids', () => {
+            expect(parseAddress('fe80::1%eth0')).toEqual(parseAddress('fe80::1'));
+        });
+
+        it('should treat IPv4-mapped addresses as IPv4', () => {
+            expect(parseAddress('::ffff:192.168.1.10')).toEqual(parseAddress('192.168.1.10'));
+            expect(parseAddress('::ffff:c0a8:10a')).toEqual(parseAddress('192.168.1.10'));
+        });
+
+        it('should parse embedded IPv4 in other prefixes', () => {
+            expect(parseAddress('64:ff9b::10.0.0.1')).toEqual({ version: 6, value: (0x64ff9bn << 96n) | 0x0a000001n });
+        });
+
+        it('should reject malformed addresses', () => {
+            ['256.1.1.1', '1.2.3', '01.2.3.4', 'fd00:::1', '1::2::3', 'fd00::g', '1:2:3:4:5:6:7:8:9', 'fe80::1%', 'localhost']
+                .forEach(text => expect(parseAddress(text)).toBeNull());
+        });
+    });
+
+    describe('parseNetwork', () => {
+        it('should default to a single address', () => {
+            expect(parseNetwork('10.0.0.5').prefixLength).toBe(32);
+            expect(parseNetwork('fd00::5').prefixLength).toBe(128);
+        });
+
+        it('should reject invalid prefix lengths', () => {
+            expect(() => parseNetwork('10.0.0.0/33')).toThrow('invalid prefix length in 10.0.0.0/33 (0-32)');
+            expect(() => parseNetwork('fd00::/129')).toThrow(/invalid prefix length/);
+            expect(() => parseNetwork('10.0.0.0/')).toThrow(/invalid prefix length/);
+        });
+
+        it('should reject invalid addresses', () => {
+            expect(() => parseNetwork('fd00:::/8')).toThrow('invalid IP or CIDR: fd00:::/8');
+            expect(() => parseNetwork('10.0.0.0/8/8')).toThrow(/invalid IP or CIDR/);
+        });
+
+        it('should convert IPv4-mapped ranges to IPv4', () => {
+            expect(parseNetwork('::ffff:10.0.0.0/104')).toEqual({ version: 4, value: 0x0a000000n, prefixLength: 8 });
+        });
+    });
+
+    describe('matchesNetwork', () => {
+        it('should match IPv6 ranges of any prefix length', () => {
+            expect(matchesNetwork('fd12:3456::1', 'fd00::/8')).toBe(true);
+            expect(matchesNetwork('fc00::1', 'fd00::/8')).toBe(false);
+            expect(matchesNetwork('2001:db8:abcd:12::1', '2001:db8:abcd::/48')).toBe(true);
+            expect(matchesNetwork('2001:db8:abce::1', '2001:db8:abcd::/48')).toBe(false);
+            expect(matchesNetwork('fe80::1%eth0', 'fe80::/10')).toBe(true);
+            expect(matchesNetwork('::1', '::1/128')).toBe(true);
+        });
+
+        it('should match IPv4 including mapped client addresses', () => {
+            expect(matchesNetwork('::ffff:192.168.1.10', '192.168.1.0/24')).toBe(true);
+            expect(matchesNetwork('192.168.2.10', '192.168.1.0/24')).toBe(false);
+            expect(matchesNetwork('8.8.8.8', '0.0.0.0/0')).toBe(true);
+        });
+
+        it('should not mix address families', () => {
+            expect(matchesNetwork('10.0.0.1', '::/0')).toBe(false);
+            expect(matchesNetwork('fd00::1', '0.0.0.0/0')).toBe(false);
+        });
+    });
+
+    describe('isAllowedIP', () => {
+        it('should accept plain IPs and ranges', () => {
+            const allowed = ['127.0.0.1', '::1', 'fd00::/8'];
+            expect(isAllowedIP('127.0.0.1', allowed)).toBe(true);
+            expect(isAllowedIP('::ffff:127.0.0.1', allowed)).toBe(true);
+            expect(isAllowedIP('fd00:0:0:1::20', allowed)).toBe(true);
+            expect(isAllowedIP('2001:db8::1', allowed)).toBe(false);
+        });
+    });
+});
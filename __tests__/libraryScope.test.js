@@ -0,0 +1,154 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+jest.mock('../plexClient');
+
+const plexClient = require('../plexClient');
+const { parseAddedAt, validateScope, scopeKey, buildSectionFilter, matchesItem } = require('../libraryScope');
+
+const section = { key: '1', title: 'Movies' };
+const TAGS = {
+    collection: [{ id: '30', title: 'Marvel' }],
+    label: [{ id: '12', title: 'keep-audio' }, { id: '13', title: 'Rollout' }],
+    genre: [{ id: '7', title: 'Action' }, { id: '8', title: 'Drama' }]
+};
+
+describe('libraryScope', () => {
+    beforeEach(() => {
+        jest.resetAllMocks();
+        plexClient.fetchLibraryTags.mockImplementation(async (sectionId, tag) => TAGS[tag]);
+    });
+
+    describe('parseAddedAt', () => {
+        it('should parse dates', () => {
+            expect(parseAddedAt('2024-01-31')).toBe(1706659200);
+            expect(parseAddedAt(new Date('2024-01-31T00:00:00Z'))).toBe(1706659200);
+        });
+
+        it('should parse ages relative to now', () => {
+            const now = Date.UTC(2024, 0, 31);
+            expect(parseAddedAt('30d', now)).toBe(1706659200 - 30 * 86400);
+            expect(parseAddedAt('2w', now)).toBe(1706659200 - 14 * 86400);
+        });
+
+        it('should reject anything else', () => {
+            expect(() => parseAddedAt('last month')).toThrow(/must be a date/);
+        });
+    });
+
+    describe('validateScope', () => {
+        it('should accept a full scope', () => {
+            expect(() => validateScope({
+                collections: ['Marvel'],
+                labels: ['Rollout'],
+                genres: ['Action'],
+                shows: ['Friends'],
+                added_after: '30d',
+                added_before: '2024-12-31',
+                query: 'year>>=2020',
+                exclude_labels: ['keep-audio']
+            })).not.toThrow();
+        });
+
+        it('should reject non-array tag lists', () => {
+            expect(() => validateScope({ labels: 'Rollout' })).toThrow('config.pre_selection.scope.labels must be an array of names');
+        });
+
+        it('should reject invalid dates', () => {
+            expect(() => validateScope({ added_after: 'soon' })).toThrow(/scope.added_after must be a date/);
+        });
+
+        it('should reject a query with a path', () => {
+            expect(() => validateScope({ query: '/library/sections/1/all?year=2020' })).toThrow(/scope.query/);
+        });
+    });
+
+    describe('scopeKey', () => {
+        it('should ignore key order', () => {
+            expect(scopeKey({ labels: ['a'], genres: ['b'] })).toBe(scopeKey({ genres: ['b'], labels: ['a'] }));
+        });
+
+        it('should be undefined without a scope', () => {
+            expect(scopeKey(undefined)).toBeUndefined();
+            expect(scopeKey({})).toBeUndefined();
+        });
+    });
+
+    describe('buildSectionFilter', () => {
+        it('should match everything without a scope', async () => {
+            const filter = await buildSectionFilter(section, undefined, undefined);
+            expect(filter.params).toBeUndefined();
+            expect(filter.matches({})).toBe(true);
+        });
+
+        it('should turn tag titles into Plex filters', async () => {
+            const filter = await buildSectionFilter(section, undefined, {
+                genres: ['action', 'Drama'],
+                collections: ['Marvel'],
+                exclude_labels: ['keep-audio'],
+                query: 'year>>=2020'
+            });
+
+            expect(filter.params).toEqual({ collection: '30', genre: '7,8', 'label!': '12', 'year>>': '2020' });
+        });
+
+        it('should filter episodes by their show', async () => {
+            const filter = await buildSectionFilter({ key: '2', title: 'TV' }, 4, { labels: ['Rollout'], shows: ['Friends'] });
+
+            expect(filter.params).toEqual({ 'show.label': '13' });
+            expect(filter.matches({ grandparentTitle: 'friends' })).toBe(true);
+            expect(filter.matches({ grandparentTitle: 'Seinfeld' })).toBe(false);
+        });
+
+        it('should add the addedAt window', async () => {
+            const filter = await buildSectionFilter(section, undefined, { added_after: '2024-01-31', added_before: '2024-02-01' });
+
+            expect(filter.params).toEqual({ 'addedAt>>': 1706659200, 'addedAt<<': 1706745600 });
+        });
+
+        it('should skip a library without the requested tags', async () => {
+            expect(await buildSectionFilter(section, undefined, { collections: ['Pixar'] })).toBeNull();
+        });
+
+        it('should skip movie libraries when shows are set', async () => {
+            expect(await buildSectionFilter(section, undefined, { shows: ['Friends'] })).toBeNull();
+        });
+
+        it('should ignore exclude labels the library does not have', async () => {
+            const filter = await buildSectionFilter(section, undefined, { exclude_labels: ['unknown'] });
+            expect(filter.params).toBeUndefined();
+        });
+    });
+
+    describe('matchesItem', () => {
+        const movie = { type: 'movie', title: 'Movie', addedAt: 1706659200, Genre: [{ tag: 'Action' }], Label: [{ tag: 'keep-audio' }] };
+        const show = { type: 'show', Label: [{ tag: 'Rollout' }] };
+        const episode = { type: 'episode', title: 'Pilot', grandparentTitle: 'Friends', addedAt: 1706659200 };
+
+        it('should match tags of the item', () => {
+            expect(matchesItem(movie, { genres: ['action'] })).toBe(true);
+            expect(matchesItem(movie, { genres: ['Drama'] })).toBe(false);
+            expect(matchesItem(movie, { exclude_labels: ['keep-audio'] })).toBe(false);
+        });
+
+        it('should match episodes by their show', () => {
+            expect(matchesItem(episode, { labels: ['Rollout'], shows: ['friends'] }, show)).toBe(true);
+            expect(matchesItem(episode, { shows: ['Seinfeld'] }, show)).toBe(false);
+            expect(matchesItem(movie, { shows: ['Friends'] })).toBe(false);
+        });
+
+        it('should check the addedAt window', () => {
+            expect(matchesItem(movie, { added_after: '2024-01-30', added_before: '2024-02-01' })).toBe(true);
+            expect(matchesItem(movie, { added_after: '2024-02-01' })).toBe(false);
+        });
+
+        it('should not match when a query is set', () => {
+            expect(matchesItem(movie, { query: 'year>>=2020' })).toBe(false);
+        });
+    });
+});
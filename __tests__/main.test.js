@@ -0,0 +1,82 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    configureConsoleLogging: jest.fn(),
+    configureFileLogging: jest.fn()
+}));
+jest.mock('../config');
+jest.mock('../plexClient');
+jest.mock('../audioFixer');
+jest.mock('../bulkFixer');
+jest.mock('../webhookServer');
+jest.mock('../plexNotifications');
+jest.mock('../authStorage');
+jest.mock('../plexAuth');
+
+const { loadConfig } = require('../config');
+const bulkFixer = require('../bulkFixer');
+const webhookServer = require('../webhookServer');
+const plexNotifications = require('../plexNotifications');
+const { main } = require('../main');
+
+describe('main', () => {
+    let exit;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.resetAllMocks();
+        exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        exit.mockRestore();
+        jest.useRealTimers();
+    });
+
+    function mockConfig(mode) {
+        loadConfig.mockReturnValue({
+            mode: mode,
+            auth_method: 'token',
+            plex_token: 'token',
+            validation_timeout_seconds: 120,
+            event_queue: {},
+            webhook: { host: '0.0.0.0', port: 4444, path: '/webhook' },
+            pre_selection: { enabled: true }
+        });
+    }
+
+    it('should start webhook mode while the initial bulk run is pending', async () => {
+        mockConfig('webhook');
+        bulkFixer.run.mockReturnValue(new Promise(() => {}));
+
+        await main();
+
+        expect(bulkFixer.run).toHaveBeenCalledTimes(1);
+        expect(webhookServer.start).toHaveBeenCalled();
+        expect(bulkFixer.startSchedule).toHaveBeenCalled();
+        expect(exit).not.toHaveBeenCalled();
+    });
+
+    it('should start websocket mode while the initial bulk run is pending', async () => {
+        mockConfig('websocket');
+        bulkFixer.run.mockReturnValue(new Promise(() => {}));
+
+        await main();
+
+        expect(plexNotifications.start).toHaveBeenCalled();
+    });
+
+    it('should keep running when the initial bulk run fails', async () => {
+        mockConfig('webhook');
+        bulkFixer.run.mockRejectedValue(new Error('config.pre_selection.concurrency must be an integer'));
+
+        await main();
+        await Promise.resolve();
+
+        expect(webhookServer.start).toHaveBeenCalled();
+        expect(exit).not.toHaveBeenCalled();
+    });
+});
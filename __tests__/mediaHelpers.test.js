@@ -1,4 +1,4 @@
-const { getStreamsFromSession, getStreamsFromMetadata, getPartId } = require('../mediaHelpers');
+const { getStreamsFromSession, getStreamsFromMetadata, getPartId, getSessionPart, getAllParts, findPart, checkChange, isAudioTranscode } = require('../mediaHelpers');
 
 describe('mediaHelpers', () => {
     describe('getStreamsFromSession', () => {
@@ -66,6 +66,69 @@ describe('mediaHelpers', () => {
             const metadata = { ratingKey: '456' };
             expect(() => getStreamsFromMetadata(metadata)).toThrow('Invalid metadata structure');
         });
+
+        it('should return streams for the requested part', () => {
+            const metadata = {
+                ratingKey: '456',
+                Media: [
+                    { Part: [{ id: 10, Stream: [{ id: 1, codec: 'truehd' }] }] },
+                    { Part: [{ id: 20, Stream: [{ id: 2, codec: 'ac3' }] }] }
+                ]
+            };
+
+            expect(getStreamsFromMetadata(metadata, 20)[0].codec).toBe('ac3');
+        });
+
+        it('should throw error for unknown part', () => {
+            const metadata = { ratingKey: '456', Media: [{ Part: [{ id: 10, Stream: [] }] }] };
+            expect(() => getStreamsFromMetadata(metadata, 99)).toThrow('part: 99');
+        });
+    });
+
+    describe('getSessionPart', () => {
+        it('should prefer the selected media and part', () => {
+            const session = {
+                sessionKey: '1',
+                Media: [
+                    { Part: [{ id: 10 }] },
+                    { selected: true, Part: [{ id: 20 }, { id: 21, selected: true }] }
+                ]
+            };
+
+            expect(getSessionPart(session).id).toBe(21);
+        });
+
+        it('should throw error for missing Part', () => {
+            expect(() => getSessionPart({ sessionKey: '1', Media: [{}] })).toThrow('Invalid session structure');
+        });
+    });
+
+    describe('getAllParts / findPart', () => {
+        const metadata = {
+            ratingKey: '456',
+            Media: [
+                { Part: [{ id: 10, file: '/movies/a-4k.mkv' }] },
+                { Part: [{ id: 20, file: '/movies/a-cd1.mkv' }, { id: 21, file: '/movies/a-cd2.mkv' }] }
+            ]
+        };
+
+        it('should list every version and part', () => {
+            const parts = getAllParts(metadata);
+            expect(parts.map(p => p.part.id)).toEqual([10, 20, 21]);
+            expect(parts[2]).toEqual(expect.objectContaining({ mediaIndex: 1, partIndex: 1 }));
+        });
+
+        it('should find part by id', () => {
+            expect(findPart(metadata, '21').file).toBe('/movies/a-cd2.mkv');
+        });
+
+        it('should fall back to file match', () => {
+            expect(findPart(metadata, 999, '/movies/a-4k.mkv').id).toBe(10);
+        });
+
+        it('should return null when not found', () => {
+            expect(findPart(metadata, 999)).toBeNull();
+        });
     });
 
     describe('getPartId', () => {
@@ -99,4 +162,57 @@ describe('mediaHelpers', () => {
             expect(() => getPartId(session)).toThrow('Invalid session structure: missing Part id');
         });
     });
+
+    describe('isAudioTranscode', () => {
+        it('should return false without TranscodeSession', () => {
+            expect(isAudioTranscode({ sessionKey: '1' })).toBe(false);
+        });
+
+        it('should detect audio transcode', () => {
+            const session = { TranscodeSession: { audioDecision: 'transcode', videoDecision: 'copy' } };
+            expect(isAudioTranscode(session)).toBe(true);
+        });
+
+        it('should ignore video-only transcode with copied audio', () => {
+            const session = { TranscodeSession: { audioDecision: 'copy', videoDecision: 'transcode' } };
+            expect(isAudioTranscode(session)).toBe(false);
+            expect(isAudioTranscode(session, false)).toBe(true);
+        });
+
+        it('should compare codecs when decision is missing', () => {
+            expect(isAudioTranscode({ TranscodeSession: { sourceAudioCodec: 'truehd', audioCodec: 'aac' } })).toBe(true);
+            expect(isAudioTranscode({ TranscodeSession: { sourceAudioCodec: 'ac3', audioCodec: 'ac3' } })).toBe(false);
+        });
+
+        it('should treat sessions without audio info as audio transcode', () => {
+            expect(isAudioTranscode({ TranscodeSession: { videoDecision: 'transcode' } })).toBe(true);
+        });
+    });
+
+    describe('checkChange', () => {
+        const part = {
+            id: 10,
+            Stream: [
+                { id: 1, streamType: 2, codec: 'truehd', selected: true },
+                { id: 2, streamType: 2, codec: 'ac3', selected: false }
+            ]
+        };
+        const change = { oldStream: { id: 1 }, newStream: { id: 2 } };
+
+        it('should accept an unchanged selection', () => {
+            expect(checkChange(change, part)).toBeNull();
+        });
+
+        it('should reject a selection that changed', () => {
+            expect(checkChange({ ...change, oldStream: { id: 3 } }, part)).toBe('selection changed since (now 1)');
+        });
+
+        it('should reject a missing target stream', () => {
+            expect(checkChange({ ...change, newStream: { id: 9 } }, part)).toBe('stream 9 no longer exists');
+        });
+
+        it('should reject a missing part', () => {
+            expect(checkChange(change, undefined)).toBe('part not found');
+        });
+    });
 });
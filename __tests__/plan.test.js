@@ -0,0 +1,111 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+jest.mock('../plexClient');
+jest.mock('../journal');
+
+const plexClient = require('../plexClient');
+const journal = require('../journal');
+const { parsePlanArgs, toCsv, applyPlan } = require('../plan');
+
+function buildChange(overrides = {}) {
+    return {
+        ratingKey: '100',
+        title: 'Movie',
+        partId: 10,
+        user: { id: null, title: 'owner' },
+        oldStream: { id: 1, codec: 'truehd', channels: 8, language: 'English', title: 'TrueHD 7.1' },
+        newStream: { id: 2, codec: 'ac3', channels: 6, language: 'English', title: 'AC3 5.1' },
+        rule: 'global#1',
+        ...overrides
+    };
+}
+
+function buildMetadata(selectedStreamId, streamIds = [1, 2]) {
+    return {
+        ratingKey: '100',
+        Media: [{
+            Part: [{
+                id: 10,
+                Stream: streamIds.map(id => ({ id, streamType: 2, selected: id === selectedStreamId }))
+            }]
+        }]
+    };
+}
+
+describe('plan', () => {
+    describe('parsePlanArgs', () => {
+        it('should strip the extension from --output', () => {
+            expect(parsePlanArgs(['--output', '/tmp/plan.json']).output).toBe('/tmp/plan');
+        });
+    });
+
+    describe('toCsv', () => {
+        it('should write a header and one row per change', () => {
+            const lines = toCsv([buildChange()]).trim().split('\n');
+
+            expect(lines[0]).toBe('ratingKey,title,partId,user,oldStreamId,oldCodec,oldChannels,oldLanguage,newStreamId,newCodec,newChannels,newLanguage,rule');
+            expect(lines[1]).toBe('100,Movie,10,owner,1,truehd,8,English,2,ac3,6,English,global#1');
+        });
+
+        it('should quote values with commas and quotes', () => {
+            const csv = toCsv([buildChange({ title: 'Movie, "The"', oldStream: null })]);
+
+            expect(csv.split('\n')[1]).toBe('100,"Movie, ""The""",10,owner,,,,,2,ac3,6,English,global#1');
+        });
+    });
+
+    describe('applyPlan', () => {
+        const config = { dry_run: false, owner_username: 'owner' };
+
+        beforeEach(() => {
+            jest.resetAllMocks();
+            journal.createRunId.mockReturnValue('apply-1');
+            plexClient.fetchManagedUsers.mockResolvedValue([{ id: '5', title: 'oma', token: 'oma-token' }]);
+        });
+
+        it('should apply unchanged items and journal them', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(buildMetadata(1));
+
+            const result = await applyPlan(config, { changes: [buildChange()] });
+
+            expect(result).toEqual({ runId: 'apply-1', applied: 1, skipped: 0, failed: 0 });
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, null, false);
+            expect(journal.record).toHaveBeenCalledWith(expect.objectContaining({
+                source: 'apply', runId: 'apply-1', oldStreamId: 1, newStreamId: 2, rule: 'global#1'
+            }));
+        });
+
+        it('should skip items that changed since the plan', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(buildMetadata(2));
+
+            const result = await applyPlan(config, { changes: [buildChange()] });
+
+            expect(result.skipped).toBe(1);
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+        });
+
+        it('should check and apply with the user token', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(buildMetadata(1));
+
+            await applyPlan(config, { changes: [buildChange({ user: { id: '5', title: 'oma' } })] });
+
+            expect(plexClient.fetchMetadata).toHaveBeenCalledWith('100', 'oma-token');
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, 'oma-token', false);
+        });
+
+        it('should not journal in dry run', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(buildMetadata(1));
+
+            await applyPlan({ ...config, dry_run: true }, { changes: [buildChange()] });
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 2, null, true);
+            expect(journal.record).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,174 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const mockGet = jest.fn();
+jest.mock('axios', () => ({
+    create: jest.fn(() => ({ get: mockGet, put: jest.fn(), delete: jest.fn() }))
+}));
+
+const plexClient = require('../plexClient');
+
+function page(ratingKeys, totalSize) {
+    return {
+        data: {
+            MediaContainer: {
+                totalSize,
+                Metadata: ratingKeys.map(ratingKey => ({ ratingKey }))
+            }
+        }
+    };
+}
+
+describe('plexClient', () => {
+    beforeAll(() => {
+        plexClient.init({ plex_api_timeout_seconds: 30, plex_server_url: 'http://localhost:32400' }, { token: 'token', clientId: 'client' });
+    });
+
+    beforeEach(() => {
+        mockGet.mockReset();
+    });
+
+    describe('iterateLibraryItems', () => {
+        it('should page through the section until totalSize', async () => {
+            mockGet
+                .mockResolvedValueOnce(page(['1', '2'], 3))
+                .mockResolvedValueOnce(page(['3'], 3));
+
+            const keys = [];
+            for await (const item of plexClient.iterateLibraryItems('5', 4, { pageSize: 2, sort: 'updatedAt' })) {
+                keys.push(item.ratingKey);
+            }
+
+            expect(keys).toEqual(['1', '2', '3']);
+            expect(mockGet).toHaveBeenCalledTimes(2);
+            expect(mockGet).toHaveBeenLastCalledWith('/library/sections/5/all', {
+                params: { 'X-Plex-Container-Start': 2, 'X-Plex-Container-Size': 2, type: 4, sort: 'updatedAt' }
+            });
+        });
+
+        it('should stop on a short page without totalSize', async () => {
+            mockGet.mockResolvedValueOnce(page(['1'], undefined));
+
+            const items = [];
+            for await (const item of plexClient.iterateLibraryItems('5', undefined, { pageSize: 2 })) {
+                items.push(item);
+            }
+
+            expect(items).toHaveLength(1);
+            expect(mockGet).toHaveBeenCalledTimes(1);
+        });
+
+        it('should report the section size and throttle each page', async () => {
+            mockGet
+                .mockResolvedValueOnce(page(['1', '2'], 3))
+                .mockResolvedValueOnce(page(['3'], 3));
+            const onTotalSize = jest.fn();
+            const throttle = jest.fn().mockResolvedValue();
+
+            for await (const item of plexClient.iterateLibraryItems('5', 1, { pageSize: 2, throttle, onTotalSize })) {
+                expect(item.ratingKey).toBeDefined();
+            }
+
+            expect(onTotalSize).toHaveBeenCalledTimes(1);
+            expect(onTotalSize).toHaveBeenCalledWith(3);
+            expect(throttle).toHaveBeenCalledTimes(2);
+        });
+
+        it('should send filters with every page', async () => {
+            mockGet.mockResolvedValueOnce(page(['1'], 1));
+
+            for await (const item of plexClient.iterateLibraryItems('5', 1, { filters: { 'label!': '12' } })) {
+                expect(item.ratingKey).toBe('1');
+            }
+
+            expect(mockGet).toHaveBeenCalledWith('/library/sections/5/all', {
+                params: { 'label!': '12', 'X-Plex-Container-Start': 0, 'X-Plex-Container-Size': 500, type: 1 }
+            });
+        });
+    });
+
+    describe('iterateLibraryItems by updatedAt', () => {
+        // Serves /all like Plex: exclusive updatedAt filters, sorted by updatedAt
+        function serve(library, onRequest) {
+            mockGet.mockImplementation(async (url, { params }) => {
+                const matching = library
+                    .filter(item => item.updatedAt > params['updatedAt>>'] && item.updatedAt < params['updatedAt<<'])
+                    .sort((a, b) => a.updatedAt - b.updatedAt);
+                const start = params['X-Plex-Container-Start'];
+                const items = matching.slice(start, start + params['X-Plex-Container-Size']).map(item => ({ ...item }));
+                onRequest?.();
+                return { data: { MediaContainer: { totalSize: matching.length, Metadata: items } } };
+            });
+        }
+
+        it('should not skip items when an item already returned is updated', async () => {
+            const library = [
+                { ratingKey: '1', updatedAt: 100 },
+                { ratingKey: '2', updatedAt: 200 },
+                { ratingKey: '3', updatedAt: 300 },
+                { ratingKey: '4', updatedAt: 300 },
+                { ratingKey: '5', updatedAt: 400 }
+            ];
+            serve(library, () => { library[0].updatedAt = 500; });
+
+            const keys = [];
+            for await (const item of plexClient.iterateLibraryItems('5', 1, { pageSize: 2, updatedAfter: 50, updatedUntil: 450 })) {
+                keys.push(item.ratingKey);
+            }
+
+            expect(keys).toEqual(['1', '2', '3', '4', '5']);
+            expect(mockGet).toHaveBeenNthCalledWith(2, '/library/sections/5/all', {
+                params: { 'updatedAt>>': 199, 'updatedAt<<': 451, 'X-Plex-Container-Start': 1, 'X-Plex-Container-Size': 2, type: 1, sort: 'updatedAt' }
+            });
+        });
+
+        it('should page through items updated at the same time', async () => {
+            serve([
+                { ratingKey: '1', updatedAt: 100 },
+                { ratingKey: '2', updatedAt: 100 },
+                { ratingKey: '3', updatedAt: 100 }
+            ]);
+
+            const keys = [];
+            for await (const item of plexClient.iterateLibraryItems('5', 1, { pageSize: 2, updatedAfter: 0, updatedUntil: 100 })) {
+                keys.push(item.ratingKey);
+            }
+
+            expect(keys).toEqual(['1', '2', '3']);
+            expect(mockGet).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('fetchLatestUpdate', () => {
+        it('should return the latest updatedAt and the section size', async () => {
+            mockGet.mockResolvedValueOnce({ data: { MediaContainer: { totalSize: 42, Metadata: [{ ratingKey: '1', updatedAt: 900 }] } } });
+
+            await expect(plexClient.fetchLatestUpdate('5', 4, { 'label!': '12' })).resolves.toEqual({ updatedAt: 900, totalSize: 42 });
+            expect(mockGet).toHaveBeenCalledWith('/library/sections/5/all', {
+                params: { 'label!': '12', 'X-Plex-Container-Start': 0, 'X-Plex-Container-Size': 1, type: 4, sort: 'updatedAt:desc' }
+            });
+        });
+
+        it('should return 0 for an empty section', async () => {
+            mockGet.mockResolvedValueOnce({ data: { MediaContainer: { totalSize: 0 } } });
+
+            await expect(plexClient.fetchLatestUpdate('5')).resolves.toEqual({ updatedAt: 0, totalSize: 0 });
+        });
+    });
+
+    describe('fetchLibraryTags', () => {
+        it('should return tag ids and titles', async () => {
+            mockGet.mockResolvedValueOnce({
+                data: { MediaContainer: { Directory: [{ key: 12, title: 'keep-audio', fastKey: '/library/sections/5/all?label=12' }] } }
+            });
+
+            expect(await plexClient.fetchLibraryTags('5', 'label')).toEqual([{ id: '12', title: 'keep-audio' }]);
+            expect(mockGet).toHaveBeenCalledWith('/library/sections/5/label');
+        });
+    });
+});
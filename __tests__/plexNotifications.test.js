@@ -0,0 +1,92 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { buildNotificationsUrl, extractPlayEvents } = require('../plexNotifications');
+
+function playing(sessionKey, state, ratingKey = '100', clientIdentifier = 'player-1') {
+    return {
+        NotificationContainer: {
+            type: 'playing',
+            PlaySessionStateNotification: [{ sessionKey, state, ratingKey, clientIdentifier }]
+        }
+    };
+}
+
+describe('plexNotifications', () => {
+    describe('buildNotificationsUrl', () => {
+        it('should convert http and https URLs', () => {
+            expect(buildNotificationsUrl('http://192.168.1.100:32400/')).toBe('ws://192.168.1.100:32400/:/websockets/notifications');
+            expect(buildNotificationsUrl('https://plex.example.com')).toBe('wss://plex.example.com/:/websockets/notifications');
+        });
+    });
+
+    describe('extractPlayEvents', () => {
+        it('should emit media.play once per session', () => {
+            const states = new Map();
+            const events = extractPlayEvents(playing('1', 'playing', '555', 'abc'), states);
+
+            expect(events).toEqual([{
+                event: 'media.play',
+                Account: { title: 'unknown' },
+                Player: { uuid: 'abc' },
+                Metadata: { ratingKey: '555' },
+                _source: 'websocket'
+            }]);
+            expect(extractPlayEvents(playing('1', 'playing'), states)).toEqual([]);
+        });
+
+        it('should emit media.resume after pause', () => {
+            const states = new Map();
+            extractPlayEvents(playing('1', 'playing'), states);
+            expect(extractPlayEvents(playing('1', 'paused'), states)[0].event).toBe('media.pause');
+            expect(extractPlayEvents(playing('1', 'paused'), states)).toEqual([]);
+
+            expect(extractPlayEvents(playing('1', 'playing'), states)[0].event).toBe('media.resume');
+        });
+
+        it('should not emit media.play when playback continues after buffering', () => {
+            const states = new Map();
+            extractPlayEvents(playing('1', 'playing'), states);
+
+            expect(extractPlayEvents(playing('1', 'buffering'), states)).toEqual([]);
+            expect(extractPlayEvents(playing('1', 'playing'), states)).toEqual([]);
+        });
+
+        it('should emit media.play when a new session starts with buffering', () => {
+            const states = new Map();
+
+            expect(extractPlayEvents(playing('1', 'buffering'), states)).toEqual([]);
+            expect(extractPlayEvents(playing('1', 'playing'), states)[0].event).toBe('media.play');
+        });
+
+        it('should emit media.resume when a paused session buffers first', () => {
+            const states = new Map();
+            extractPlayEvents(playing('1', 'playing'), states);
+            extractPlayEvents(playing('1', 'paused'), states);
+            extractPlayEvents(playing('1', 'buffering'), states);
+
+            expect(extractPlayEvents(playing('1', 'playing'), states)[0].event).toBe('media.resume');
+        });
+
+        it('should emit media.stop and forget stopped sessions', () => {
+            const states = new Map();
+            extractPlayEvents(playing('1', 'playing'), states);
+            const stopEvents = extractPlayEvents(playing('1', 'stopped'), states);
+
+            expect(stopEvents.map(e => e.event)).toEqual(['media.stop']);
+            expect(states.size).toBe(0);
+            expect(extractPlayEvents(playing('1', 'stopped'), states)).toEqual([]);
+            expect(extractPlayEvents(playing('1', 'playing'), states)[0].event).toBe('media.play');
+        });
+
+        it('should ignore other notification types', () => {
+            const message = { NotificationContainer: { type: 'timeline', TimelineEntry: [] } };
+            expect(extractPlayEvents(message, new Map())).toEqual([]);
+        });
+    });
+});
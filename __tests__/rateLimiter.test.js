@@ -0,0 +1,29 @@
+const { createRateLimiter } = require('../rateLimiter');
+
+describe('rateLimiter', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should space calls evenly', async () => {
+        jest.useFakeTimers({ now: 0 });
+        const throttle = createRateLimiter(2);
+        const times = [];
+
+        const calls = [1, 2, 3].map(() => throttle().then(() => times.push(Date.now())));
+        await jest.advanceTimersByTimeAsync(1000);
+        await Promise.all(calls);
+
+        expect(times).toEqual([0, 500, 1000]);
+    });
+
+    it('should not wait when unlimited', async () => {
+        jest.useFakeTimers({ now: 0 });
+        const throttle = createRateLimiter(0);
+
+        await throttle();
+        await throttle();
+
+        expect(Date.now()).toBe(0);
+    });
+});
@@ -0,0 +1,131 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+jest.mock('../plexClient');
+jest.mock('../journal', () => ({
+    ...jest.requireActual('../journal'),
+    readEntries: jest.fn(),
+    record: jest.fn(),
+    createRunId: jest.fn(() => 'rollback-1')
+}));
+
+const plexClient = require('../plexClient');
+const journal = require('../journal');
+const { parseRollbackArgs, planRollback, summarizeRuns, rollback } = require('../rollback');
+const { selectEntries } = require('../journal');
+
+function entry(partId, oldStreamId, newStreamId, overrides = {}) {
+    return {
+        timestamp: '2024-01-01T12:00:00.000Z',
+        runId: 'bulk-1',
+        source: 'bulk',
+        ratingKey: '100',
+        partId,
+        user: { id: null, title: 'owner' },
+        oldStreamId,
+        newStreamId,
+        ...overrides
+    };
+}
+
+describe('rollback', () => {
+    describe('parseRollbackArgs', () => {
+        it('should parse a time range', () => {
+            const { filter, dryRun } = parseRollbackArgs(['--since', '2024-01-01', '--until', '2024-01-02', '--dry-run']);
+            expect(filter.since).toEqual(new Date('2024-01-01'));
+            expect(filter.until).toEqual(new Date('2024-01-02'));
+            expect(dryRun).toBe(true);
+        });
+
+        it('should require a selection', () => {
+            expect(() => parseRollbackArgs([])).toThrow(/rollback needs --run/);
+        });
+
+        it('should reject invalid dates', () => {
+            expect(() => parseRollbackArgs(['--since', 'yesterday'])).toThrow(/--since must be a date/);
+        });
+    });
+
+    describe('planRollback', () => {
+        it('should restore the selection before the first switch', () => {
+            const targets = planRollback([entry(10, 1, 2), entry(10, 2, 3), entry(11, 5, 6)]);
+            expect(targets.map(t => [t.partId, t.fromStreamId, t.toStreamId])).toEqual([[10, 3, 1], [11, 6, 5]]);
+        });
+
+        it('should keep users apart', () => {
+            const targets = planRollback([entry(10, 1, 2), entry(10, 1, 3, { user: { id: '5', title: 'oma' } })]);
+            expect(targets).toHaveLength(2);
+        });
+
+        it('should skip parts without prior selection or already restored', () => {
+            expect(planRollback([entry(10, null, 2)])).toEqual([]);
+            expect(planRollback([entry(10, 1, 2), entry(10, 2, 1)])).toEqual([]);
+        });
+    });
+
+    describe('summarizeRuns', () => {
+        it('should group entries by run and ignore live switches', () => {
+            const runs = summarizeRuns([entry(10, 1, 2), entry(11, 1, 2), entry(12, 1, 2, { runId: null, source: 'live' })]);
+            expect(runs).toEqual([{ runId: 'bulk-1', source: 'bulk', count: 2, first: '2024-01-01T12:00:00.000Z', last: '2024-01-01T12:00:00.000Z' }]);
+        });
+    });
+
+    describe('selectEntries', () => {
+        it('should filter by time range and item', () => {
+            const entries = [
+                entry(10, 1, 2, { timestamp: '2024-01-01T10:00:00.000Z' }),
+                entry(11, 1, 2, { timestamp: '2024-01-02T10:00:00.000Z', ratingKey: '200' })
+            ];
+            expect(selectEntries(entries, { since: new Date('2024-01-02') })).toHaveLength(1);
+            expect(selectEntries(entries, { until: new Date('2024-01-01T23:59:59Z') })).toHaveLength(1);
+            expect(selectEntries(entries, { item: '200' })[0].partId).toBe(11);
+        });
+    });
+
+    describe('rollback', () => {
+        const config = { dry_run: false, owner_username: 'owner' };
+
+        function metadataSelecting(streamId) {
+            return {
+                ratingKey: '100',
+                Media: [{
+                    Part: [{
+                        id: 10,
+                        Stream: [1, 2, 3].map(id => ({ id, streamType: 2, selected: id === streamId }))
+                    }]
+                }]
+            };
+        }
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            journal.readEntries.mockReturnValue([entry(10, 1, 2, { user: { id: null, title: 'owner' } })]);
+            plexClient.fetchManagedUsers.mockResolvedValue([]);
+        });
+
+        it('should restore the previous selection', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(metadataSelecting(2));
+
+            const result = await rollback(config, { run: 'bulk-1' });
+
+            expect(plexClient.setSelectedAudioStream).toHaveBeenCalledWith(10, 1, null, false);
+            expect(journal.record).toHaveBeenCalledWith(expect.objectContaining({ source: 'rollback', oldStreamId: 2, newStreamId: 1 }));
+            expect(result).toEqual({ runId: 'rollback-1', restored: 1, skipped: 0, failed: 0 });
+        });
+
+        it('should skip selections changed since the switch', async () => {
+            plexClient.fetchMetadata.mockResolvedValue(metadataSelecting(3));
+
+            const result = await rollback(config, { run: 'bulk-1' });
+
+            expect(plexClient.setSelectedAudioStream).not.toHaveBeenCalled();
+            expect(journal.record).not.toHaveBeenCalled();
+            expect(result).toEqual({ runId: 'rollback-1', restored: 0, skipped: 1, failed: 0 });
+        });
+    });
+});
@@ -0,0 +1,96 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { findDeviceProfile, isUserAllowed, resolveRules, resolveTermination } = require('../ruleResolver');
+
+describe('ruleResolver', () => {
+    const globalRules = [{ codec: 'aac' }];
+    const shieldRules = [{ codec: 'truehd' }];
+    const config = {
+        audio_selector: globalRules,
+        device_profiles: [
+            { name: 'shield', match: { device: 'SHIELD Android TV' }, audio_selector: shieldRules },
+            { name: 'roku', match: { platform: 'Roku', product: 'Plex for Roku' } }
+        ]
+    };
+
+    describe('findDeviceProfile', () => {
+        it('should match case-insensitively', () => {
+            const session = { Player: { device: 'shield android tv' } };
+            expect(findDeviceProfile(session, config).name).toBe('shield');
+        });
+
+        it('should require every match field', () => {
+            const session = { Player: { platform: 'Roku', product: 'Plex Web' } };
+            expect(findDeviceProfile(session, config)).toBeNull();
+        });
+
+        it('should return null without Player', () => {
+            expect(findDeviceProfile({}, config)).toBeNull();
+        });
+    });
+
+    describe('isUserAllowed', () => {
+        it('should allow everyone by default', () => {
+            expect(isUserAllowed({ id: 1, title: 'alice' }, {})).toBe(true);
+        });
+
+        it('should honor include by username or id', () => {
+            const users = { include: ['alice', 42] };
+            expect(isUserAllowed({ id: 1, title: 'alice' }, { users })).toBe(true);
+            expect(isUserAllowed({ id: '42', title: 'bob' }, { users })).toBe(true);
+            expect(isUserAllowed({ id: 7, title: 'carol' }, { users })).toBe(false);
+        });
+
+        it('should let exclude win over include', () => {
+            const users = { include: ['alice'], exclude: ['alice'] };
+            expect(isUserAllowed({ id: 1, title: 'alice' }, { users })).toBe(false);
+        });
+    });
+
+    describe('resolveRules', () => {
+        it('should prefer user override over device profile', () => {
+            const userRules = [{ codec: 'ac3', language: 'deu' }];
+            const withUsers = { ...config, users: { overrides: [{ user: 'oma', audio_selector: userRules }] } };
+            const session = { User: { id: 5, title: 'oma' }, Player: { device: 'SHIELD Android TV' } };
+            expect(resolveRules(session, withUsers)).toEqual({ rules: userRules, source: 'user:oma' });
+        });
+
+        it('should use profile rules when matched', () => {
+            const session = { Player: { device: 'SHIELD Android TV' } };
+            expect(resolveRules(session, config)).toEqual({ rules: shieldRules, source: 'profile:shield' });
+        });
+
+        it('should fall back to global rules for profile without rules', () => {
+            const session = { Player: { platform: 'Roku', product: 'Plex for Roku' } };
+            expect(resolveRules(session, config)).toEqual({ rules: globalRules, source: 'global' });
+        });
+
+        it('should fall back to global rules for unmatched player', () => {
+            const session = { Player: { platform: 'Chrome' } };
+            expect(resolveRules(session, config).rules).toBe(globalRules);
+        });
+    });
+
+    describe('resolveTermination', () => {
+        const withTermination = {
+            termination: { strategy: 'immediate', max_view_offset_seconds: 300 },
+            device_profiles: [{ name: 'roku', match: { platform: 'Roku' }, termination: { strategy: 'defer' } }]
+        };
+
+        it('should merge profile termination over global', () => {
+            const session = { Player: { platform: 'Roku' } };
+            expect(resolveTermination(session, withTermination)).toEqual({ strategy: 'defer', max_view_offset_seconds: 300 });
+        });
+
+        it('should use global termination for unmatched player', () => {
+            const session = { Player: { platform: 'Chrome' } };
+            expect(resolveTermination(session, withTermination).strategy).toBe('immediate');
+        });
+    });
+});
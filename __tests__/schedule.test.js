@@ -0,0 +1,60 @@
+const { parseSchedule, nextRun } = require('../schedule');
+
+describe('schedule', () => {
+    describe('parseSchedule', () => {
+        it('should parse intervals', () => {
+            expect(parseSchedule('30m')).toEqual({ type: 'interval', ms: 30 * 60000 });
+            expect(parseSchedule('6h').ms).toBe(6 * 3600000);
+            expect(parseSchedule('1d').ms).toBe(86400000);
+        });
+
+        it('should reject zero interval', () => {
+            expect(() => parseSchedule('0h')).toThrow(/interval must be > 0/);
+        });
+
+        it('should reject cron with wrong field count', () => {
+            expect(() => parseSchedule('0 4 * *')).toThrow(/5 fields/);
+        });
+
+        it('should reject out of range values', () => {
+            expect(() => parseSchedule('0 24 * * *')).toThrow(/hour out of range/);
+        });
+
+        it('should expand ranges, lists and steps', () => {
+            const schedule = parseSchedule('*/15 1-3,22 * * 7');
+            expect([...schedule.fields[0]]).toEqual([0, 15, 30, 45]);
+            expect([...schedule.fields[1]]).toEqual([1, 2, 3, 22]);
+            expect([...schedule.fields[4]]).toEqual([0]);
+        });
+    });
+
+    describe('nextRun', () => {
+        it('should add the interval', () => {
+            const from = new Date(2024, 0, 1, 12, 0, 0);
+            expect(nextRun(parseSchedule('2h'), from)).toEqual(new Date(2024, 0, 1, 14, 0, 0));
+        });
+
+        it('should find the next daily cron time', () => {
+            const schedule = parseSchedule('0 4 * * *');
+            expect(nextRun(schedule, new Date(2024, 0, 1, 3, 59, 30))).toEqual(new Date(2024, 0, 1, 4, 0, 0));
+            expect(nextRun(schedule, new Date(2024, 0, 1, 4, 0, 0))).toEqual(new Date(2024, 0, 2, 4, 0, 0));
+        });
+
+        it('should match day of month or day of week when both are set', () => {
+            // 2024-01-01 is a Monday; 15th or any Saturday
+            const schedule = parseSchedule('0 0 15 * 6');
+            expect(nextRun(schedule, new Date(2024, 0, 1))).toEqual(new Date(2024, 0, 6));
+        });
+
+        it('should require both day fields when one is a step over *', () => {
+            // Odd days of the month that are Mondays: 2024-01-15 after 2024-01-01
+            const schedule = parseSchedule('0 4 */2 * 1');
+            expect(nextRun(schedule, new Date(2024, 0, 1))).toEqual(new Date(2024, 0, 1, 4, 0, 0));
+            expect(nextRun(schedule, new Date(2024, 0, 2))).toEqual(new Date(2024, 0, 15, 4, 0, 0));
+        });
+
+        it('should return null when the cron never matches', () => {
+            expect(nextRun(parseSchedule('0 0 31 2 *'), new Date(2024, 0, 1))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,67 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const stateStore = require('../stateStore');
+
+const FILENAME = 'state_store_test.json';
+const statePath = path.join(__dirname, '..', FILENAME);
+
+describe('stateStore', () => {
+    const existsSync = fs.existsSync;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Use the local fallback, also where a /config volume exists
+        jest.spyOn(fs, 'existsSync').mockImplementation(p => p !== '/config' && existsSync(p));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(statePath, { force: true });
+        fs.rmSync(`${statePath}.tmp`, { force: true });
+    });
+
+    it('should resolve files next to the app without /config', () => {
+        expect(stateStore.getPath(FILENAME)).toBe(statePath);
+    });
+
+    it('should load what was saved', () => {
+        const data = { '100:player-1': { timestamp: 1000, expectedStreamId: 2 } };
+
+        expect(stateStore.save(FILENAME, data)).toBe(true);
+
+        expect(stateStore.load(FILENAME, {})).toEqual(data);
+        expect(fs.existsSync(`${statePath}.tmp`)).toBe(false);
+    });
+
+    it('should return the fallback for a missing file', () => {
+        const fallback = {};
+
+        expect(stateStore.load(FILENAME, fallback)).toBe(fallback);
+        expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should return the fallback for a corrupt file', () => {
+        fs.writeFileSync(statePath, '{"100:player-1": {');
+
+        expect(stateStore.load(FILENAME, {})).toEqual({});
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('starting empty'));
+    });
+
+    it('should log instead of throwing when the file cannot be written', () => {
+        jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {
+            throw new Error('EACCES');
+        });
+
+        expect(stateStore.save(FILENAME, {})).toBe(false);
+        expect(logger.error).toHaveBeenCalledWith(`State ${statePath}: EACCES`);
+    });
+});
@@ -0,0 +1,93 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { sign, verifyRequest } = require('../webhookAuth');
+
+const NOW = 1706659200000;
+const TIMESTAMP = String(NOW / 1000);
+
+function buildRequest({ headers = {}, query = {}, body = '{"event":"media.play"}' } = {}) {
+    return { ip: '10.0.0.2', headers, query, rawBody: body === undefined ? undefined : Buffer.from(body) };
+}
+
+function signedRequest(secret, body, timestamp = TIMESTAMP) {
+    return buildRequest({
+        body,
+        headers: {
+            'x-webhook-timestamp': timestamp,
+            'x-webhook-signature': sign(secret, timestamp, body)
+        }
+    });
+}
+
+describe('webhookAuth', () => {
+    describe('shared secret', () => {
+        const config = { webhook: { secret: 's3cret', hmac_secret: '' } };
+
+        it('should allow everything without a secret', () => {
+            expect(verifyRequest(buildRequest(), { webhook: { secret: '', hmac_secret: '' } }, NOW)).toBe(true);
+        });
+
+        it('should accept the secret header', () => {
+            expect(verifyRequest(buildRequest({ headers: { 'x-webhook-secret': 's3cret' } }), config, NOW)).toBe(true);
+        });
+
+        it('should accept the secret as ?token= for Plex', () => {
+            expect(verifyRequest(buildRequest({ query: { token: 's3cret' } }), config, NOW)).toBe(true);
+        });
+
+        it('should reject a wrong or missing secret', () => {
+            expect(verifyRequest(buildRequest({ headers: { 'x-webhook-secret': 's3cre' } }), config, NOW)).toBe(false);
+            expect(verifyRequest(buildRequest({ query: { token: ['s3cret'] } }), config, NOW)).toBe(false);
+            expect(verifyRequest(buildRequest(), config, NOW)).toBe(false);
+        });
+    });
+
+    describe('HMAC signature', () => {
+        const config = { webhook: { secret: '', hmac_secret: 'hmac-key', hmac_max_age_seconds: 300 } };
+
+        it('should accept a valid signature once', () => {
+            const body = '{"event":"media.play","n":1}';
+
+            expect(verifyRequest(signedRequest('hmac-key', body), config, NOW)).toBe(true);
+            expect(verifyRequest(signedRequest('hmac-key', body), config, NOW + 1000)).toBe(false);
+        });
+
+        it('should reject a signature over a different body', () => {
+            const req = signedRequest('hmac-key', '{"event":"media.play","n":2}');
+            req.rawBody = Buffer.from('{"event":"media.stop","n":2}');
+
+            expect(verifyRequest(req, config, NOW)).toBe(false);
+        });
+
+        it('should reject a wrong key', () => {
+            expect(verifyRequest(signedRequest('other-key', '{"n":3}'), config, NOW)).toBe(false);
+        });
+
+        it('should reject old timestamps', () => {
+            const old = String(NOW / 1000 - 301);
+            expect(verifyRequest(signedRequest('hmac-key', '{"n":4}', old), config, NOW)).toBe(false);
+        });
+
+        it('should reject unsigned requests without a shared secret', () => {
+            expect(verifyRequest(buildRequest(), config, NOW)).toBe(false);
+        });
+
+        it('should fall back to the shared secret for unsigned requests', () => {
+            const both = { webhook: { ...config.webhook, secret: 's3cret' } };
+            expect(verifyRequest(buildRequest({ query: { token: 's3cret' } }), both, NOW)).toBe(true);
+        });
+
+        it('should reject signed multipart bodies', () => {
+            const req = signedRequest('hmac-key', '{"n":5}');
+            req.rawBody = undefined;
+
+            expect(verifyRequest(req, config, NOW)).toBe(false);
+        });
+    });
+});
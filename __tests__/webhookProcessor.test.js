@@ -0,0 +1,149 @@
+// Mock logger module
+jest.mock('../logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+jest.mock('../plexClient');
+jest.mock('../audioFixer');
+jest.mock('../bulkFixer');
+
+const plexClient = require('../plexClient');
+const audioFixer = require('../audioFixer');
+const { processWebhook } = require('../webhookProcessor');
+
+function session(sessionKey, overrides = {}) {
+    return {
+        ratingKey: '100',
+        sessionKey,
+        Session: { id: `id-${sessionKey}` },
+        Player: { machineIdentifier: 'player-1' },
+        TranscodeSession: { audioDecision: 'transcode' },
+        ...overrides
+    };
+}
+
+function tautulliPlay(stream) {
+    return {
+        event: 'media.play',
+        Account: { title: 'user' },
+        Player: { uuid: 'player-1' },
+        Metadata: { ratingKey: '100' },
+        ...(stream && { Stream: stream }),
+        _source: 'tautulli'
+    };
+}
+
+describe('webhookProcessor', () => {
+    let config;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        config = {
+            accept_audio_copy: true,
+            webhook: { initial_delay_ms: 0, session_retry: { max_attempts: 1, initial_delay_ms: 0 } }
+        };
+        audioFixer.getProcessingInfo.mockReturnValue(undefined);
+        audioFixer.isProcessed.mockReturnValue(false);
+        audioFixer.processTranscodingSession.mockResolvedValue(true);
+    });
+
+    describe('Tautulli stream details', () => {
+        it('should skip the session lookup when audio is direct played', async () => {
+            await processWebhook(tautulliPlay({ transcodeDecision: 'transcode', audioDecision: 'direct play' }), config);
+
+            expect(plexClient.fetchSessions).not.toHaveBeenCalled();
+            expect(audioFixer.processTranscodingSession).not.toHaveBeenCalled();
+        });
+
+        it('should skip the session lookup when the whole stream is direct played', async () => {
+            await processWebhook(tautulliPlay({ transcodeDecision: 'direct play' }), config);
+
+            expect(plexClient.fetchSessions).not.toHaveBeenCalled();
+        });
+
+        it('should respect accept_audio_copy for copied audio', async () => {
+            await processWebhook(tautulliPlay({ audioDecision: 'copy' }), config);
+            expect(plexClient.fetchSessions).not.toHaveBeenCalled();
+
+            config.accept_audio_copy = false;
+            plexClient.fetchSessions.mockResolvedValue([session('7')]);
+            await processWebhook(tautulliPlay({ audioDecision: 'copy' }), config);
+            expect(plexClient.fetchSessions).toHaveBeenCalledTimes(1);
+        });
+
+        it('should match the exact session by session key', async () => {
+            const other = session('6');
+            const exact = session('7', { Player: { machineIdentifier: 'another-player' } });
+            plexClient.fetchSessions.mockResolvedValue([other, exact]);
+
+            await processWebhook(tautulliPlay({ sessionKey: '7', audioDecision: 'transcode' }), config);
+
+            expect(audioFixer.processTranscodingSession).toHaveBeenCalledWith(exact, config);
+        });
+
+        it('should match by session id when there is no session key', async () => {
+            const exact = session('7');
+            plexClient.fetchSessions.mockResolvedValue([session('6'), exact]);
+
+            await processWebhook(tautulliPlay({ sessionId: 'id-7', audioDecision: 'transcode' }), config);
+
+            expect(audioFixer.processTranscodingSession).toHaveBeenCalledWith(exact, config);
+        });
+
+        it('should not match another session of the same player', async () => {
+            plexClient.fetchSessions.mockResolvedValue([session('6')]);
+
+            await processWebhook(tautulliPlay({ sessionKey: '7', audioDecision: 'transcode' }), config);
+
+            expect(audioFixer.processTranscodingSession).not.toHaveBeenCalled();
+        });
+
+        it('should not wait for the initial delay when the session is known', async () => {
+            jest.useFakeTimers();
+            try {
+                config.webhook.initial_delay_ms = 5000;
+                plexClient.fetchSessions.mockResolvedValue([session('7')]);
+
+                const done = processWebhook(tautulliPlay({ sessionKey: '7', audioDecision: 'transcode' }), config);
+                await jest.advanceTimersByTimeAsync(0);
+
+                expect(plexClient.fetchSessions).toHaveBeenCalledTimes(1);
+                await done;
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        it('should still validate restarted sessions that direct play', async () => {
+            const processingInfo = { ratingKey: '100', playerUuid: 'player-1' };
+            audioFixer.getProcessingInfo.mockReturnValue(processingInfo);
+            const restarted = session('8', { TranscodeSession: undefined });
+            plexClient.fetchSessions.mockResolvedValue([restarted]);
+
+            await processWebhook(tautulliPlay({ sessionKey: '8', transcodeDecision: 'direct play' }), config);
+
+            expect(audioFixer.handleRestartedSession).toHaveBeenCalledWith(restarted, processingInfo, config);
+        });
+    });
+
+    describe('without stream details', () => {
+        it('should match the session by player', async () => {
+            const exact = session('7');
+            plexClient.fetchSessions.mockResolvedValue([session('6', { Player: { machineIdentifier: 'player-2' } }), exact]);
+
+            await processWebhook(tautulliPlay(), config);
+
+            expect(audioFixer.processTranscodingSession).toHaveBeenCalledWith(exact, config);
+        });
+
+        it('should skip video-only transcodes', async () => {
+            plexClient.fetchSessions.mockResolvedValue([session('7', { TranscodeSession: { audioDecision: 'copy' } })]);
+
+            await processWebhook(tautulliPlay(), config);
+
+            expect(audioFixer.processTranscodingSession).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -297,3 +297,86 @@ describe('Webhook Server - Tautulli Integration', () => {
         });
     });
 });
+
+describe('normalizeTautulliPayload', () => {
+    const { normalizeTautulliPayload } = require('../webhookServer');
+
+    test('should keep stream details', () => {
+        const payload = normalizeTautulliPayload({
+            action: 'play',
+            rating_key: '12345',
+            player_uuid: 'device-1',
+            session_key: '42',
+            session_id: 'abc123',
+            transcode_decision: 'Transcode',
+            audio_decision: 'Direct Play',
+            stream_audio_codec: 'EAC3'
+        });
+
+        expect(payload.Stream).toEqual({
+            sessionKey: '42',
+            sessionId: 'abc123',
+            transcodeDecision: 'transcode',
+            audioDecision: 'direct play'
+        });
+    });
+
+    test('should ignore empty stream parameters', () => {
+        const payload = normalizeTautulliPayload({
+            action: 'play',
+            rating_key: '12345',
+            session_key: '',
+            transcode_decision: 'copy',
+            audio_decision: ''
+        });
+
+        expect(payload.Stream).toEqual({ transcodeDecision: 'copy' });
+    });
+
+    test('should omit Stream when no stream details are sent', () => {
+        const payload = normalizeTautulliPayload({ action: 'play', rating_key: '12345' });
+
+        expect(payload).not.toHaveProperty('Stream');
+    });
+});
+
+describe('health and status', () => {
+    const webhookServer = require('../webhookServer');
+    const getStatus = () => ({ queue: { waiting: 2, running: 1 } });
+
+    function startServer(webhook) {
+        const httpServer = webhookServer.start({
+            webhook: { host: '127.0.0.1', port: 0, path: '/webhook', allowed_networks: ['127.0.0.0/8', '::1/128'], ...webhook }
+        }, jest.fn(), getStatus);
+        return new Promise(resolve => httpServer.once('listening', () => resolve(httpServer)));
+    }
+
+    afterEach(() => {
+        webhookServer.stop();
+    });
+
+    test('should not expose queue stats on /health', async () => {
+        const httpServer = await startServer({ allowed_networks: ['10.0.0.0/8'] });
+
+        const response = await request(httpServer).get('/health');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ status: 'ok', service: 'audiochangerr-webhook', version: expect.any(String) });
+    });
+
+    test('should serve queue stats on /status to allowed networks only', async () => {
+        let httpServer = await startServer();
+        const allowed = await request(httpServer).get('/status');
+        expect(allowed.body).toEqual({ status: 'ok', queue: { waiting: 2, running: 1 } });
+        webhookServer.stop();
+
+        httpServer = await startServer({ allowed_networks: ['10.0.0.0/8'] });
+        expect((await request(httpServer).get('/status')).status).toBe(403);
+    });
+
+    test('should not serve /status without the IP filter', async () => {
+        const httpServer = await startServer({ local_only: false });
+
+        expect((await request(httpServer).get('/status')).status).toBe(404);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Admin API
+ * Endpoints on the webhook server to operate the service without restarts or log tailing.
+ * Mounted at /admin when webhook.admin_token is set; requests need "Authorization: Bearer <token>".
+ * - GET    /admin/validations                Switches awaiting validation
+ * - GET    /admin/actions?limit=N            Recent switches, terminations and validation outcomes
+ * - POST   /admin/reevaluate/:ratingKey      Clear processed state, re-queue the item's current sessions
+ * - GET    /admin/preview/:ratingKey?user=X  Stream pre-selection would pick for a user
+ * - POST   /admin/bulk-scan                  Start a pre-selection run
+ * - DELETE /admin/processed?ratingKey=X      Clear processed state (everything without ratingKey)
+ */
+
+const express = require('express');
+const logger = require('./logger');
+const plexClient = require('./plexClient');
+const audioFixer = require('./audioFixer');
+const bulkFixer = require('./bulkFixer');
+const webhookAuth = require('./webhookAuth');
+
+// Errors of async handlers become JSON 500 responses
+function handle(fn) {
+    return (req, res) => {
+        Promise.resolve()
+            .then(() => fn(req, res))
+            .catch(error => {
+                logger.error(`Admin ${req.method} ${req.path}: ${error.message}`);
+                logger.debug(error.stack);
+                res.status(500).json({ error: error.message });
+            });
+    };
+}
+
+// Query parameters given more than once arrive as arrays
+function queryString(req, name) {
+    const value = req.query[name];
+    if (value === undefined) return undefined;
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+/**
+ * Create the admin router
+ * @param {Object} config - Loaded config
+ * @param {function(Object): Promise} onEvent - Queues a webhook payload, as for received webhooks
+ * @returns {express.Router}
+ */
+function createAdminRouter(config, onEvent) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!webhookAuth.verifyAdminRequest(req, config)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    });
+
+    router.get('/validations', (req, res) => {
+        res.json({ validations: audioFixer.getPendingValidations() });
+    });
+
+    router.get('/actions', (req, res) => {
+        const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+            return res.status(400).json({ error: 'limit must be an integer >= 1' });
+        }
+        res.json({ actions: audioFixer.getRecentActions(limit) });
+    });
+
+    router.post('/reevaluate/:ratingKey', handle(async (req, res) => {
+        const ratingKey = req.params.ratingKey;
+        const cleared = audioFixer.clearProcessedMedia(ratingKey);
+
+        const sessions = (await plexClient.fetchSessions()).filter(s => String(s.ratingKey) === ratingKey);
+        for (const session of sessions) {
+            await onEvent({
+                event: 'media.play',
+                Account: { title: session.User?.title },
+                Player: { uuid: session.Player?.uuid || session.Player?.machineIdentifier },
+                Metadata: { ratingKey: ratingKey, type: session.type, title: session.title },
+                Stream: { sessionKey: String(session.sessionKey) },
+                _source: 'admin'
+            });
+        }
+
+        logger.info(`Admin: re-evaluate ${ratingKey} (${sessions.length} sessions)`);
+        res.status(202).json({ ratingKey: ratingKey, cleared: cleared, queued: sessions.length });
+    }));
+
+    router.get('/preview/:ratingKey', handle(async (req, res) => {
+        const user = queryString(req, 'user');
+        if (user === null) {
+            return res.status(400).json({ error: 'user must be a Plex username or user id' });
+        }
+
+        const preview = await bulkFixer.previewItem(req.params.ratingKey, config, user);
+        if (!preview) {
+            return res.status(404).json({ error: `Unknown user: ${user}` });
+        }
+        res.json(preview);
+    }));
+
+    router.post('/bulk-scan', (req, res) => {
+        if (!config.pre_selection?.enabled) {
+            return res.status(409).json({ error: 'Pre-selection disabled - set pre_selection.enabled=true' });
+        }
+        if (bulkFixer.isScanning()) {
+            return res.status(409).json({ error: 'Pre-selection run in progress' });
+        }
+
+        logger.info('Admin: bulk scan');
+        bulkFixer.run(config).catch(error => {
+            logger.error(`Admin bulk scan: ${error.message}`);
+        });
+        res.status(202).json({ status: 'started' });
+    });
+
+    router.delete('/processed', (req, res) => {
+        const ratingKey = queryString(req, 'ratingKey');
+        if (ratingKey === null) {
+            return res.status(400).json({ error: 'ratingKey must be a single rating key' });
+        }
+        res.json({ removed: audioFixer.clearProcessedMedia(ratingKey) });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
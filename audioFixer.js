@@ -1,41 +1,108 @@
 const logger = require('./logger');
 const plexClient = require('./plexClient');
 const audioSelector = require('./audioSelector');
-const { getStreamsFromSession } = require('./mediaHelpers');
+const ruleResolver = require('./ruleResolver');
+const stateStore = require('./stateStore');
+const journal = require('./journal');
+const { getStreamsFromSession, getSessionPart, findPart, getAllParts, isAudioTranscode } = require('./mediaHelpers');
+
+const STATE_FILE = 'processing_state.json';
+const RESTORE_FILE = 'restore_state.json';
+const MAX_RECENT_ACTIONS = 100;
+// Players that accept the in-place command but don't change track are terminated after this
+const IN_PLACE_TIMEOUT_SECONDS = 10;
+const RESTART_REASON = 'Audio transcode detected. Switched to compatible track. Restart playback.';
 
 const processedMedia = new Map();
+// Temporary switches awaiting restore, keyed like processedMedia (ratingKey:playerUuid)
+const pendingRestores = new Map();
+// Terminations waiting for the player to pause (termination.strategy: defer), in memory only
+const deferredTerminations = new Map();
+// Latest switches, terminations and validation outcomes (oldest first), in memory only, for the admin API
+const recentActions = [];
 let validationTimeoutMs = null;
 
-// --- HELPER: Safely get Part ID ---
-function safelyGetPartId(mediaItem) {
-    try {
-        // VERBOSE DEBUG
-        const hasMedia = mediaItem && mediaItem.Media && mediaItem.Media[0];
-        const hasPart = hasMedia && mediaItem.Media[0].Part && mediaItem.Media[0].Part[0];
-        
-        if (!hasPart) {
-            logger.error(`[DEBUG-V] safelyGetPartId: Structure check failed. Media: ${!!hasMedia}, Part: ${!!hasPart}`);
-            return null;
+// Processing state is written through on every change so a restart mid-validation resumes
+function persistProcessedMedia() {
+    stateStore.save(STATE_FILE, Object.fromEntries(processedMedia));
+}
+
+function persistPendingRestores() {
+    stateStore.save(RESTORE_FILE, Object.fromEntries(pendingRestores));
+}
+
+function loadPendingRestores() {
+    const saved = stateStore.load(RESTORE_FILE, {});
+    pendingRestores.clear();
+    for (const [processingKey, record] of Object.entries(saved)) {
+        if (record && record.partId !== undefined && record.originalStreamId !== undefined) {
+            pendingRestores.set(processingKey, record);
         }
-        return mediaItem.Media[0].Part[0].id;
-    } catch (e) {
-        logger.error(`[DEBUG-V] safelyGetPartId Exception: ${e.message}`);
+    }
+    logger.info(`Pending restores: ${pendingRestores.size} (${stateStore.getPath(RESTORE_FILE)})`);
+}
+
+function loadProcessedMedia() {
+    if (validationTimeoutMs === null) throw new Error('validationTimeoutMs not set');
+
+    const saved = stateStore.load(STATE_FILE, {});
+    const now = Date.now();
+    let restored = 0;
+
+    processedMedia.clear();
+    for (const [processingKey, processingInfo] of Object.entries(saved)) {
+        if (!processingInfo || typeof processingInfo.timestamp !== 'number') continue;
+        if (now - processingInfo.timestamp > validationTimeoutMs) continue;
+        processedMedia.set(processingKey, processingInfo);
+        restored++;
+    }
+
+    persistProcessedMedia();
+    logger.info(`Processing state: ${restored} restored (${stateStore.getPath(STATE_FILE)})`);
+}
+
+function recordAction(action, ratingKey, details = {}) {
+    recentActions.push({ timestamp: new Date().toISOString(), action: action, ratingKey: String(ratingKey), ...details });
+    if (recentActions.length > MAX_RECENT_ACTIONS) {
+        recentActions.shift();
+    }
+}
+
+// --- HELPER: Find the metadata Part being played (multi-version / multi-part) ---
+function resolvePlayedPart(session, mediaInfo) {
+    const sessionPart = getSessionPart(session);
+    const part = findPart(mediaInfo, sessionPart.id, sessionPart.file);
+
+    if (!part) {
+        logger.error(`Part ${sessionPart.id} not found in metadata ${mediaInfo.ratingKey} (${getAllParts(mediaInfo).length} parts)`);
         return null;
     }
+    logger.debug(`Part: ${part.id}${part.file ? ` (${part.file})` : ''}`);
+    return part;
 }
 
-function validateSessionRestart(session, processingInfo) {
+function validateSessionRestart(session, processingInfo, config) {
     const ratingKey = session.ratingKey;
-    const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
+    const sameSession = String(session.sessionKey) === String(processingInfo.originalSessionKey);
 
-    if (String(session.sessionKey) === String(processingInfo.originalSessionKey)) {
+    if (sameSession && !processingInfo.inPlace) {
         logger.debug(`Same session: ${session.sessionKey}`);
         return null;
     }
 
-    logger.info(`Restarted: ${ratingKey}`);
+    // In-place switches keep the session; wait until the player reports the new stream
+    if (sameSession) {
+        const active = getStreamsFromSession(session).find(s => s.streamType === 2 && s.selected);
+        if (String(active?.id) !== String(processingInfo.expectedStreamId)) {
+            logger.debug(`In-place pending: stream ${active?.id} (want ${processingInfo.expectedStreamId})`);
+            return null;
+        }
+        logger.info(`Switched in place: ${ratingKey}`);
+    } else {
+        logger.info(`Restarted: ${ratingKey}`);
+    }
 
-    if (session.TranscodeSession) {
+    if (isAudioTranscode(session, config.accept_audio_copy)) {
         logger.warn('Still transcoding - codec incompatible with client, check audio_selector rules');
         return false;
     }
@@ -60,8 +127,8 @@ function setValidationTimeout(timeoutSeconds) {
     logger.info(`Validation: ${timeoutSeconds}s`);
 }
 
-async function resolveUserToken(session, config) {
-    const sessionUsername = session.User.title;
+async function resolveUserToken(user, config) {
+    const sessionUsername = user.title;
     
     logger.debug(`[DEBUG-V] resolveUserToken: Session User='${sessionUsername}', Config Owner='${config.owner_username}'`);
 
@@ -86,45 +153,228 @@ async function resolveUserToken(session, config) {
     }
 
     // 3. Check Managed
-    if (managedUserTokens[session.User.id]) {
-        logger.debug(`[DEBUG-V] Managed user match: ${session.User.id}`);
-        return managedUserTokens[session.User.id];
+    if (managedUserTokens[user.id]) {
+        logger.debug(`[DEBUG-V] Managed user match: ${user.id}`);
+        return managedUserTokens[user.id];
     }
 
     logger.warn(`User ${sessionUsername} not owner/managed`);
     return null;
 }
 
-async function terminateStream(session, reason, config) {
+/**
+ * Decides whether to kill the session now, skip it, or wait for a pause.
+ * Strategy comes from termination (global), overridden by the device profile.
+ * @returns {{action: string, reason: string}} action: 'terminate' | 'skip' | 'defer'
+ */
+function decideTermination(session, config) {
     if (!config.terminate_stream) {
-        logger.debug('Skip termination');
-        return false;
+        return { action: 'skip', reason: 'terminate_stream=false' };
+    }
+
+    const termination = ruleResolver.resolveTermination(session, config);
+
+    if (termination.strategy === 'offset_threshold') {
+        const offsetSeconds = Math.round((Number(session.viewOffset) || 0) / 1000);
+        const maxSeconds = termination.max_view_offset_seconds;
+        if (offsetSeconds < maxSeconds) {
+            return { action: 'terminate', reason: `viewOffset ${offsetSeconds}s < ${maxSeconds}s` };
+        }
+        return { action: 'skip', reason: `viewOffset ${offsetSeconds}s >= ${maxSeconds}s, default switched for next time` };
+    }
+
+    if (termination.strategy === 'defer') {
+        if (session.Player?.state === 'paused') {
+            return { action: 'terminate', reason: 'player paused' };
+        }
+        return { action: 'defer', reason: 'waiting for pause or stop' };
     }
 
+    return { action: 'terminate', reason: 'immediate' };
+}
+
+async function killSession(session, reason, config) {
     if (config.dry_run) {
-        logger.info(`[DRY] Kill transcode: ${session.TranscodeSession.key}`);
+        logger.info(`[DRY] Kill transcode: ${session.TranscodeSession?.key || session.Session?.id}`);
         return false;
     }
 
-    await plexClient.terminateTranscode(session.TranscodeSession.key);
+    if (session.TranscodeSession) {
+        await plexClient.terminateTranscode(session.TranscodeSession.key);
+    }
     await plexClient.terminateSession(session.Session.id, reason);
+    recordAction('terminate', session.ratingKey, { player: session.Player?.title, user: session.User?.title });
     return true;
 }
 
-async function switchToStreamAndRestart(session, bestStream, userToken, config, mediaInfo) {
-    logger.debug(`[DEBUG-V] switchToStreamAndRestart: Getting Part ID...`);
-    
-    // Use clean mediaInfo, fallback to session if mediaInfo is null
-    const sourceObject = mediaInfo || session;
-    const partId = safelyGetPartId(sourceObject);
-    
-    if (!partId) {
-        logger.error(`[DEBUG-V] ABORT: Could not determine Part ID. Dumping source object keys: ${Object.keys(sourceObject).join(',')}`);
+/**
+ * Terminates the session according to the termination strategy.
+ * Deferred terminations run later from processDeferredTerminations, then call onTerminated(session).
+ * @returns {Promise<boolean>} True if the session was killed now
+ */
+async function terminateStream(session, reason, config, onTerminated) {
+    const decision = decideTermination(session, config);
+    logger.info(`Terminate: ${decision.action} (${decision.reason})`);
+
+    if (decision.action === 'skip') {
         return false;
     }
 
-    logger.debug(`[DEBUG-V] Part ID found: ${partId}. Calling setSelectedAudioStream...`);
-    
+    if (decision.action === 'defer') {
+        const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
+        deferredTerminations.set(`${session.ratingKey}:${playerUuid}`, {
+            session: session,
+            reason: reason,
+            onTerminated: onTerminated,
+            createdAt: Date.now()
+        });
+        recordAction('defer', session.ratingKey, { player: session.Player?.title, user: session.User?.title });
+        return false;
+    }
+
+    return await killSession(session, reason, config);
+}
+
+/**
+ * Runs deferred terminations whose session is now paused.
+ * Sessions that stopped (or restarted on their own) already pick up the new default.
+ */
+async function processDeferredTerminations(currentSessions, config) {
+    for (const [processingKey, deferred] of [...deferredTerminations.entries()]) {
+        const session = currentSessions.find(s => {
+            const playerUuid = s.Player?.uuid || s.Player?.machineIdentifier;
+            return `${s.ratingKey}:${playerUuid}` === processingKey;
+        });
+
+        if (!session) {
+            dropDeferredTermination(processingKey);
+            logger.info(`Deferred: ${processingKey} session ended - new default applies next playback`);
+            continue;
+        }
+        if (String(session.sessionKey) !== String(deferred.session.sessionKey)) {
+            // Restarted on its own: the new session is validated
+            deferredTerminations.delete(processingKey);
+            logger.info(`Deferred: ${processingKey} session restarted`);
+            continue;
+        }
+
+        if (session.Player?.state !== 'paused') continue;
+
+        deferredTerminations.delete(processingKey);
+        logger.info(`Deferred: ${processingKey} paused - terminating`);
+        const terminated = await killSession(session, deferred.reason, config);
+        if (terminated && deferred.onTerminated) {
+            deferred.onTerminated(session);
+        }
+    }
+}
+
+// The session ended without a pause: no restart will follow, so settle the switch waiting for it
+function dropDeferredTermination(processingKey) {
+    const deferred = deferredTerminations.get(processingKey);
+    if (!deferred) return;
+    deferredTerminations.delete(processingKey);
+
+    const processingInfo = processedMedia.get(processingKey);
+    if (processingInfo && !processingInfo.outcome &&
+        String(processingInfo.originalSessionKey) === String(deferred.session.sessionKey)) {
+        settleProcessingInfo(processingInfo, 'switched');
+    }
+}
+
+function hasDeferredTermination(ratingKey, playerUuid) {
+    return deferredTerminations.has(`${ratingKey}:${playerUuid}`);
+}
+
+/**
+ * Asks a controllable player to change its audio stream without stopping playback.
+ * Players qualify when /clients lists them with the "playback" capability.
+ * @returns {Promise<boolean>} True if the command was accepted
+ */
+async function switchInPlace(session, streamId, config) {
+    const machineIdentifier = session.Player?.machineIdentifier;
+    if (!config.in_place_switch || !config.terminate_stream || !machineIdentifier) {
+        return false;
+    }
+
+    try {
+        const clients = await plexClient.fetchClients();
+        const client = clients.find(c => c.machineIdentifier === machineIdentifier);
+        const capabilities = String(client?.protocolCapabilities || '').split(',');
+        if (!capabilities.includes('playback')) {
+            logger.debug(`In-place: ${session.Player.title} not controllable`);
+            return false;
+        }
+
+        await plexClient.setPlayerAudioStream(machineIdentifier, streamId, config.dry_run);
+        return true;
+    } catch (error) {
+        logger.warn(`In-place: ${error.message} - falling back to restart`);
+        return false;
+    }
+}
+
+// Dry runs change nothing, so they are not journaled. Live switches have no run id.
+function recordSwitch(config, entry) {
+    recordAction('switch', entry.ratingKey, {
+        source: entry.source,
+        title: entry.title,
+        user: entry.user.title,
+        oldStreamId: entry.oldStreamId,
+        newStreamId: entry.newStreamId,
+        dryRun: !!config.dry_run
+    });
+    if (config.dry_run) return;
+    journal.record({ runId: null, ...entry });
+}
+
+// Records a switch as the latest attempt of its processing entry
+function recordAttempt(session, streamId, partId, attempt, fields) {
+    const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
+    const processingKey = `${session.ratingKey}:${playerUuid}`;
+    processedMedia.set(processingKey, {
+        timestamp: Date.now(),
+        ratingKey: session.ratingKey,
+        playerUuid: playerUuid,
+        expectedStreamId: streamId,
+        originalSessionKey: session.sessionKey,
+        partId: partId,
+        originalStreamId: attempt.originalStreamId,
+        candidateStreamIds: attempt.candidateStreamIds,
+        triedStreamIds: [...attempt.triedStreamIds, String(streamId)],
+        attempts: attempt.attempts + 1,
+        ruleSource: attempt.ruleSource,
+        inPlace: false,
+        outcome: null,
+        ...fields
+    });
+    persistProcessedMedia();
+}
+
+function awaitValidation(session, streamId, config, partId, attempt, inPlace = false) {
+    recordAttempt(session, streamId, partId, attempt, { inPlace: inPlace });
+    if (inPlace) {
+        scheduleInPlaceCheck(config);
+    }
+    logger.info(`Switched to ${streamId}, awaiting validation (attempt ${attempt.attempts + 1})`);
+}
+
+// The session keeps running after an in-place switch, so no event triggers validation
+function scheduleInPlaceCheck(config) {
+    const timer = setTimeout(async () => {
+        try {
+            const sessions = await plexClient.fetchSessions();
+            await validateInPlaceSwitches(sessions, config);
+        } catch (error) {
+            logger.error(`In-place check: ${error.message}`);
+        }
+    }, IN_PLACE_TIMEOUT_SECONDS * 1000);
+    timer.unref();
+}
+
+async function switchToStreamAndRestart(session, bestStream, userToken, config, partId, attempt, reason) {
+    logger.debug(`[DEBUG-V] switchToStreamAndRestart: Part=${partId}. Calling setSelectedAudioStream...`);
+
     try {
         await plexClient.setSelectedAudioStream(partId, bestStream.id, userToken, config.dry_run);
     } catch (e) {
@@ -132,31 +382,301 @@ async function switchToStreamAndRestart(session, bestStream, userToken, config,
         return false;
     }
 
-    const reason = 'Audio transcode detected. Switched to compatible track. Restart playback.';
-    const terminated = await terminateStream(session, reason, config);
+    const tried = attempt.triedStreamIds;
+    recordSwitch(config, {
+        source: tried.length > 0 ? 'fallback' : 'live',
+        ratingKey: session.ratingKey,
+        title: session.title,
+        partId: partId,
+        user: { id: session.User?.id, title: session.User?.title },
+        oldStreamId: tried.length > 0 ? tried[tried.length - 1] : attempt.originalStreamId,
+        newStreamId: bestStream.id,
+        rule: attempt.rule || attempt.ruleSource
+    });
+    // The default is switched whether or not the session is terminated (skip, defer), so restore it on stop either way
+    if (config.temporary_switch && !config.dry_run) {
+        const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
+        recordRestore(session, playerUuid, partId, attempt.originalStreamId, bestStream.id);
+    }
 
+    if (await switchInPlace(session, bestStream.id, config)) {
+        if (config.dry_run) {
+            logger.info(`Switched to ${bestStream.id} (in place)`);
+        } else {
+            awaitValidation(session, bestStream.id, config, partId, attempt, true);
+        }
+        return true;
+    }
+
+    reason = reason || RESTART_REASON;
+    const onTerminated = (terminatedSession) => awaitValidation(terminatedSession, bestStream.id, config, partId, attempt);
+    const terminated = await terminateStream(session, reason, config, onTerminated);
+
+    const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
     if (terminated) {
-        const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
-        const processingKey = `${session.ratingKey}:${playerUuid}`;
-        processedMedia.set(processingKey, {
-            timestamp: Date.now(),
-            ratingKey: session.ratingKey,
-            playerUuid: playerUuid,
-            expectedStreamId: bestStream.id,
-            originalSessionKey: session.sessionKey
-        });
-        logger.info(`Switched to ${bestStream.id}, awaiting validation`);
-    } else {
+        onTerminated(session);
+    } else if (config.dry_run) {
         logger.info(`Switched to ${bestStream.id}`);
+    } else if (hasDeferredTermination(session.ratingKey, playerUuid)) {
+        // Validated once the deferred termination restarts the session
+        awaitValidation(session, bestStream.id, config, partId, attempt);
+    } else {
+        // The session keeps the old stream, so there is nothing to validate; settle so later events don't switch again
+        recordAttempt(session, bestStream.id, partId, attempt, { expectedStreamId: null, outcome: 'switched' });
+        logger.info(`Switched to ${bestStream.id}, applies on next playback`);
+    }
+
+    return true;
+}
+
+function recordRestore(session, playerUuid, partId, originalStreamId, switchedStreamId) {
+    const processingKey = `${session.ratingKey}:${playerUuid}`;
+    const existing = pendingRestores.get(processingKey);
+    pendingRestores.set(processingKey, {
+        ratingKey: session.ratingKey,
+        title: session.title,
+        playerUuid: playerUuid,
+        partId: partId,
+        originalStreamId: originalStreamId,
+        switchedStreamId: String(switchedStreamId),
+        user: { id: session.User?.id, title: session.User?.title },
+        createdAt: existing ? existing.createdAt : Date.now()
+    });
+    persistPendingRestores();
+    logger.debug(`Restore pending: ${processingKey} -> ${originalStreamId}`);
+}
+
+// A switch is still in flight while its processing entry awaits validation
+function isAwaitingValidation(processingKey) {
+    const processingInfo = processedMedia.get(processingKey);
+    return !!(processingInfo && !processingInfo.outcome && processingInfo.expectedStreamId !== null);
+}
+
+async function restoreOriginalStream(processingKey, config) {
+    const record = pendingRestores.get(processingKey);
+    if (!record) return false;
+
+    const userToken = await resolveUserToken(record.user, config);
+    if (!userToken) {
+        logger.warn(`Restore: no token for ${record.user.title} - dropping ${processingKey}`);
+        pendingRestores.delete(processingKey);
+        persistPendingRestores();
+        return false;
+    }
+
+    try {
+        await plexClient.setSelectedAudioStream(record.partId, record.originalStreamId, userToken, config.dry_run);
+    } catch (e) {
+        logger.error(`Restore ${processingKey}: ${e.message} - will retry`);
+        return false;
     }
+    recordSwitch(config, {
+        source: 'restore',
+        ratingKey: record.ratingKey,
+        title: record.title,
+        partId: record.partId,
+        user: record.user,
+        oldStreamId: record.switchedStreamId ?? null,
+        newStreamId: record.originalStreamId
+    });
 
+    pendingRestores.delete(processingKey);
+    persistPendingRestores();
+    logger.info(`Restored: ${record.ratingKey} stream ${record.originalStreamId} for ${record.user.title}`);
     return true;
 }
 
+/**
+ * Restores temporary switches whose session has ended.
+ * Skips entries still awaiting validation (we terminated that session ourselves).
+ */
+async function restoreEndedSessions(currentSessions, config) {
+    if (pendingRestores.size === 0) return;
+
+    const currentSessionKeys = new Set(
+        currentSessions.map(s => {
+            const playerUuid = s.Player?.uuid || s.Player?.machineIdentifier;
+            return `${s.ratingKey}:${playerUuid}`;
+        })
+    );
+
+    for (const processingKey of [...pendingRestores.keys()]) {
+        if (currentSessionKeys.has(processingKey) || isAwaitingValidation(processingKey)) continue;
+        await restoreOriginalStream(processingKey, config);
+    }
+}
+
+/**
+ * Restores a temporary switch on media.stop.
+ */
+async function handleSessionStopped(ratingKey, playerUuid, config) {
+    const processingKey = `${ratingKey}:${playerUuid}`;
+    dropDeferredTermination(processingKey);
+    if (!pendingRestores.has(processingKey)) return false;
+    if (isAwaitingValidation(processingKey)) {
+        logger.debug(`Stop during validation: ${processingKey} - restore later`);
+        return false;
+    }
+    return await restoreOriginalStream(processingKey, config);
+}
+
+// Settled entries stay until validation timeout so replayed events don't re-trigger a switch
+function settleProcessingInfo(processingInfo, outcome) {
+    const processingKey = `${processingInfo.ratingKey}:${processingInfo.playerUuid}`;
+    processedMedia.set(processingKey, {
+        ...processingInfo,
+        timestamp: Date.now(),
+        expectedStreamId: null,
+        outcome: outcome
+    });
+    persistProcessedMedia();
+    logger.debug(`Settle: ${processingKey} ${outcome}`);
+}
+
+async function revertToOriginalStream(session, processingInfo, userToken, config) {
+    logger.warn(`Reverting ${processingInfo.ratingKey} to original stream ${processingInfo.originalStreamId}`);
+    try {
+        await plexClient.setSelectedAudioStream(processingInfo.partId, processingInfo.originalStreamId, userToken, config.dry_run);
+    } catch (e) {
+        logger.error(`Revert failed: ${e.message}`);
+        return false;
+    }
+    const tried = processingInfo.triedStreamIds || [];
+    recordSwitch(config, {
+        source: 'revert',
+        ratingKey: processingInfo.ratingKey,
+        title: session.title,
+        partId: processingInfo.partId,
+        user: { id: session.User?.id, title: session.User?.title },
+        oldStreamId: tried.length > 0 ? tried[tried.length - 1] : null,
+        newStreamId: processingInfo.originalStreamId
+    });
+    if (await switchInPlace(session, processingInfo.originalStreamId, config)) {
+        return true;
+    }
+    await terminateStream(session, 'No direct-play audio track found. Restored original track. Restart playback.', config);
+    return true;
+}
+
+/**
+ * Called when a restarted session failed validation.
+ * Tries the next ranked candidate until fallback.max_attempts, then reverts.
+ * @returns {Promise<string>} 'retrying' | 'reverted' | 'failed'
+ */
+async function handleValidationFailure(session, processingInfo, config) {
+    const maxAttempts = config.fallback?.max_attempts || 1;
+    const tried = processingInfo.triedStreamIds || [];
+    const nextStreamId = (processingInfo.candidateStreamIds || []).find(id => !tried.includes(String(id)));
+
+    const userToken = await resolveUserToken(session.User, config);
+    if (!userToken) {
+        logger.warn(`No valid token for ${session.User?.title} - cannot fall back`);
+        settleProcessingInfo(processingInfo, 'failed');
+        return 'failed';
+    }
+
+    if (nextStreamId !== undefined && processingInfo.attempts < maxAttempts) {
+        logger.info(`Fallback: ${processingInfo.ratingKey} trying stream ${nextStreamId} (attempt ${processingInfo.attempts + 1}/${maxAttempts})`);
+        const switched = await switchToStreamAndRestart(
+            session,
+            { id: nextStreamId },
+            userToken,
+            config,
+            processingInfo.partId,
+            { ...processingInfo, rule: `${processingInfo.ruleSource} (fallback)` },
+            'Audio still transcoding. Trying another track. Restart playback.'
+        );
+        if (switched) return 'retrying';
+    } else {
+        logger.warn(`Fallback exhausted: ${processingInfo.ratingKey} (${processingInfo.attempts} attempts)`);
+    }
+
+    if (config.fallback?.revert_to_original !== false && processingInfo.originalStreamId !== undefined) {
+        const reverted = await revertToOriginalStream(session, processingInfo, userToken, config);
+        if (reverted) {
+            const processingKey = `${processingInfo.ratingKey}:${processingInfo.playerUuid}`;
+            if (pendingRestores.delete(processingKey)) {
+                persistPendingRestores();
+            }
+            settleProcessingInfo(processingInfo, 'reverted');
+            return 'reverted';
+        }
+    }
+
+    settleProcessingInfo(processingInfo, 'failed');
+    return 'failed';
+}
+
+/**
+ * Falls back to terminating a session whose player accepted an in-place switch but kept the old track.
+ * The entry then waits for the restarted session like a regular switch.
+ */
+async function restartAfterInPlaceTimeout(session, processingInfo, config) {
+    logger.warn(`In-place: ${processingInfo.ratingKey} still on old stream after ${IN_PLACE_TIMEOUT_SECONDS}s - terminating instead`);
+    const processingKey = `${processingInfo.ratingKey}:${processingInfo.playerUuid}`;
+    const restartInfo = { ...processingInfo, timestamp: Date.now(), inPlace: false };
+    processedMedia.set(processingKey, restartInfo);
+    persistProcessedMedia();
+
+    const onTerminated = () => {
+        processedMedia.set(processingKey, { ...restartInfo, timestamp: Date.now() });
+        persistProcessedMedia();
+    };
+    if (await terminateStream(session, RESTART_REASON, config, onTerminated)) {
+        onTerminated();
+    }
+    return 'pending';
+}
+
+/**
+ * Validates a session for media we switched, falling back on failure.
+ * @returns {Promise<string>} 'pending' | 'validated' | 'retrying' | 'reverted' | 'failed',
+ *   or 'switched' for a switch that applies on next playback
+ */
+async function handleRestartedSession(session, processingInfo, config) {
+    if (processingInfo.outcome) {
+        logger.debug(`Settled: ${processingInfo.ratingKey} (${processingInfo.outcome})`);
+        return processingInfo.outcome;
+    }
+
+    const ratingKey = processingInfo.ratingKey;
+    const validationResult = validateSessionRestart(session, processingInfo, config);
+
+    if (validationResult === null) {
+        if (processingInfo.inPlace && Date.now() - processingInfo.timestamp >= IN_PLACE_TIMEOUT_SECONDS * 1000) {
+            return await restartAfterInPlaceTimeout(session, processingInfo, config);
+        }
+        logger.debug(`Same session, waiting`);
+        return 'pending';
+    }
+    if (validationResult === true) {
+        clearProcessingInfo(ratingKey, processingInfo.playerUuid);
+        recordAction('validated', ratingKey, { playerUuid: processingInfo.playerUuid, streamId: processingInfo.expectedStreamId });
+        logger.info(`Validated: ${ratingKey}`);
+        return 'validated';
+    }
+
+    const outcome = await handleValidationFailure(session, processingInfo, config);
+    recordAction(outcome, ratingKey, { playerUuid: processingInfo.playerUuid, streamId: processingInfo.expectedStreamId });
+    if (outcome === 'retrying') {
+        logger.info(`Validation failed: ${ratingKey} - trying next stream`);
+    } else if (outcome === 'reverted') {
+        logger.warn(`Validation failed: ${ratingKey} - no direct-play stream, reverted to original`);
+    } else {
+        logger.warn(`Validation failed: ${ratingKey} - still transcoding or wrong stream selected`);
+    }
+    return outcome;
+}
+
 async function processTranscodingSession(session, config) {
     try {
         logger.info(`Player: ${session.Player.title} (${session.Player.device}) user: ${session.User.title}`);
 
+        if (!ruleResolver.isUserAllowed(session.User, config)) {
+            logger.info(`Skip: user ${session.User.title} not allowed by users.include/exclude`);
+            return false;
+        }
+
         // 1. Fetch clean metadata
         logger.debug(`[DEBUG-V] Fetching Metadata for ${session.ratingKey}...`);
         const mediaInfo = await plexClient.fetchMetadata(session.ratingKey);
@@ -166,6 +686,11 @@ async function processTranscodingSession(session, config) {
             return false;
         }
 
+        const part = resolvePlayedPart(session, mediaInfo);
+        if (!part) {
+            return false;
+        }
+
         const streams = getStreamsFromSession(session);
         const currentStream = streams.find(s => s.streamType === 2 && s.selected);
 
@@ -174,22 +699,28 @@ async function processTranscodingSession(session, config) {
             return false;
         }
 
-        const bestStream = audioSelector.selectBestAudioStream(
+        const { rules, source } = ruleResolver.resolveRules(session, config);
+        logger.debug(`Rules: ${source} (${rules.length})`);
+
+        const ranked = audioSelector.rankAudioStreams(
             mediaInfo,
             currentStream.id,
-            config.audio_selector
+            rules,
+            { ...audioSelector.getSelectionOptions(config), partId: part.id }
         );
 
-        if (!bestStream) {
+        if (ranked.length === 0) {
             logger.warn('No better stream found');
             return false;
         }
 
+        const bestStream = ranked[0].stream;
+
         logger.info(`Better: ${bestStream.codec.toUpperCase()} ${bestStream.channels}ch (${bestStream.id})`);
 
         // 2. Resolve Token
         logger.debug(`[DEBUG-V] Resolving User Token...`);
-        const userToken = await resolveUserToken(session, config);
+        const userToken = await resolveUserToken(session.User, config);
         
         if (!userToken) {
             logger.warn(`ABORT: No valid token found for user ${session.User.title}`);
@@ -198,7 +729,15 @@ async function processTranscodingSession(session, config) {
 
         // 3. Switch
         logger.debug(`[DEBUG-V] Token resolved. Executing Switch...`);
-        return await switchToStreamAndRestart(session, bestStream, userToken, config, mediaInfo);
+        const attempt = {
+            originalStreamId: currentStream.id,
+            candidateStreamIds: ranked.map(c => String(c.stream.id)),
+            triedStreamIds: [],
+            attempts: 0,
+            ruleSource: source,
+            rule: `${source}#${ranked[0].rule + 1}`
+        };
+        return await switchToStreamAndRestart(session, bestStream, userToken, config, part.id, attempt);
 
     } catch (error) {
         logger.error(`Process Error: ${error.message}`);
@@ -207,6 +746,19 @@ async function processTranscodingSession(session, config) {
     }
 }
 
+/**
+ * Validates in-place switches against current sessions.
+ * The session keeps running, so no play webhook arrives to trigger validation.
+ */
+async function validateInPlaceSwitches(currentSessions, config) {
+    for (const session of currentSessions) {
+        const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
+        const processingInfo = processedMedia.get(`${session.ratingKey}:${playerUuid}`);
+        if (!processingInfo?.inPlace || processingInfo.outcome) continue;
+        await handleRestartedSession(session, processingInfo, config);
+    }
+}
+
 function cleanupProcessedMedia(currentSessions) {
     if (validationTimeoutMs === null) {
         throw new Error('validationTimeoutMs not set - call setValidationTimeout() first');
@@ -220,14 +772,20 @@ function cleanupProcessedMedia(currentSessions) {
         })
     );
 
+    let removed = 0;
     for (const [processingKey, processingInfo] of processedMedia.entries()) {
         const age = now - processingInfo.timestamp;
 
         if (!currentSessionKeys.has(processingKey) && age > validationTimeoutMs) {
             logger.debug(`Cleanup: ${processingKey} (${Math.round(age / 1000)}s)`);
             processedMedia.delete(processingKey);
+            removed++;
         }
     }
+
+    if (removed > 0) {
+        persistProcessedMedia();
+    }
 }
 
 function getProcessingInfo(ratingKey, playerUuid) {
@@ -239,6 +797,7 @@ function getProcessingInfo(ratingKey, playerUuid) {
     if (age > validationTimeoutMs) {
         logger.debug(`Timeout: ${processingKey}`);
         processedMedia.delete(processingKey);
+        persistProcessedMedia();
         return null;
     }
     return processingInfo;
@@ -247,11 +806,15 @@ function getProcessingInfo(ratingKey, playerUuid) {
 function clearProcessingInfo(ratingKey, playerUuid) {
     const processingKey = `${ratingKey}:${playerUuid}`;
     processedMedia.delete(processingKey);
+    persistProcessedMedia();
     logger.debug(`Clear: ${processingKey}`);
 }
 
 function isProcessed(ratingKey) {
     if (validationTimeoutMs === null) throw new Error('validationTimeoutMs not set');
+    for (const deferred of deferredTerminations.values()) {
+        if (String(deferred.session.ratingKey) === String(ratingKey)) return true;
+    }
     for (const [processingKey, processingInfo] of processedMedia.entries()) {
         if (processingInfo.ratingKey === ratingKey) {
             const age = Date.now() - processingInfo.timestamp;
@@ -261,6 +824,65 @@ function isProcessed(ratingKey) {
     return false;
 }
 
+/**
+ * Switches awaiting validation of the restarted (or in-place switched) session
+ * @returns {Object[]} Oldest first
+ */
+function getPendingValidations() {
+    const now = Date.now();
+    return [...processedMedia.values()]
+        .filter(info => info.expectedStreamId !== null && !info.outcome)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(info => ({
+            ratingKey: info.ratingKey,
+            playerUuid: info.playerUuid,
+            partId: info.partId,
+            originalStreamId: info.originalStreamId,
+            expectedStreamId: info.expectedStreamId,
+            attempts: info.attempts,
+            inPlace: !!info.inPlace,
+            ageSeconds: Math.round((now - info.timestamp) / 1000)
+        }));
+}
+
+/**
+ * Latest switches, terminations and validation outcomes
+ * action: switch | terminate | defer | validated | retrying | reverted | failed
+ * @param {number} [limit]
+ * @returns {Object[]} Newest first
+ */
+function getRecentActions(limit = MAX_RECENT_ACTIONS) {
+    return recentActions.slice(-limit).reverse();
+}
+
+/**
+ * Forgets processed state so the media is evaluated again on its next event.
+ * Pending validations and deferred terminations are dropped too; pending restores are kept.
+ * @param {string} [ratingKey] - Omit to clear everything
+ * @returns {number} Entries removed
+ */
+function clearProcessedMedia(ratingKey) {
+    const matches = key => ratingKey === undefined || String(key) === String(ratingKey);
+    let removed = 0;
+
+    for (const [processingKey, processingInfo] of [...processedMedia.entries()]) {
+        if (!matches(processingInfo.ratingKey)) continue;
+        processedMedia.delete(processingKey);
+        removed++;
+    }
+    for (const [processingKey, deferred] of [...deferredTerminations.entries()]) {
+        if (!matches(deferred.session.ratingKey)) continue;
+        deferredTerminations.delete(processingKey);
+        removed++;
+    }
+
+    if (removed > 0) {
+        persistProcessedMedia();
+    }
+    logger.info(`Cleared: ${ratingKey ?? 'all'} (${removed} entries)`);
+    return removed;
+}
+
 function markAsProcessed(ratingKey, playerUuid = 'polling') {
     const processingKey = `${ratingKey}:${playerUuid}`;
     processedMedia.set(processingKey, {
@@ -270,16 +892,28 @@ function markAsProcessed(ratingKey, playerUuid = 'polling') {
         expectedStreamId: null,
         originalSessionKey: null
     });
+    persistProcessedMedia();
     logger.debug(`Mark: ${processingKey}`);
 }
 
 module.exports = {
     processTranscodingSession,
     validateSessionRestart,
+    handleRestartedSession,
     setValidationTimeout,
+    loadProcessedMedia,
+    loadPendingRestores,
+    restoreEndedSessions,
+    handleSessionStopped,
+    processDeferredTerminations,
+    hasDeferredTermination,
+    validateInPlaceSwitches,
     cleanupProcessedMedia,
     getProcessingInfo,
     clearProcessingInfo,
+    clearProcessedMedia,
+    getPendingValidations,
+    getRecentActions,
     markAsProcessed,
     isProcessed
 };
@@ -1,10 +1,33 @@
 const logger = require('./logger');
 const { getStreamsFromMetadata } = require('./mediaHelpers');
 
-function selectBestAudioStream(mediaInfo, currentStreamId, audioSelectorConfig) {
+const DEFAULT_WEIGHTS = {
+    codec: 4,
+    channels: 2,
+    language: 3,
+    keywords: 1
+};
+
+/**
+ * Builds selector options from config (audio_selector_mode, audio_selector_weights).
+ */
+function getSelectionOptions(config) {
+    return {
+        mode: config.audio_selector_mode || 'first_match',
+        weights: { ...DEFAULT_WEIGHTS, ...(config.audio_selector_weights || {}) }
+    };
+}
+
+/**
+ * Ranks every compatible alternative to the current stream, best first.
+ * first_match: streams matched by rule #1 (in stream order), then rule #2, ...
+ * score: highest score first (see below).
+ * Returns an array of { stream, rule, score } (score undefined in first_match mode).
+ */
+function rankAudioStreams(mediaInfo, currentStreamId, audioSelectorConfig, options = {}) {
     logger.debug(`Select: ${mediaInfo.ratingKey} current=${currentStreamId}`);
 
-    const streams = getStreamsFromMetadata(mediaInfo);
+    const streams = getStreamsFromMetadata(mediaInfo, options.partId);
     const allAudioStreams = streams.filter(s => s.streamType === 2);
     const audioStreams = allAudioStreams.filter(s => String(s.id) !== String(currentStreamId));
 
@@ -12,7 +35,7 @@ function selectBestAudioStream(mediaInfo, currentStreamId, audioSelectorConfig)
 
     if (audioStreams.length === 0) {
         logger.debug('No alternatives');
-        return undefined;
+        return [];
     }
 
     let originalStreamLanguage = undefined;
@@ -100,19 +123,78 @@ function selectBestAudioStream(mediaInfo, currentStreamId, audioSelectorConfig)
         return true;
     };
 
+    // Score mode: every criterion a rule specifies adds its weight (times rule.weight).
+    // Only streams fully matching at least one rule are candidates.
+    // Ties: earliest fully-matched rule, then more channels, then lowest stream id.
+    const scoreStream = (stream, weights) => {
+        const streamTitle = getStreamTitle(stream);
+        let score = 0;
+
+        for (const rule of audioSelectorConfig) {
+            if (!checkKeywordsExclude(stream, rule, streamTitle)) continue;
+
+            let ruleScore = 0;
+            if (rule.codec && checkCodec(stream, rule)) ruleScore += weights.codec;
+            if (rule.channels && checkChannels(stream, rule)) ruleScore += weights.channels;
+            if (rule.language && checkLanguage(stream, rule)) ruleScore += weights.language;
+            if (rule.keywords_include && rule.keywords_include.length > 0 && checkKeywordsInclude(stream, rule, streamTitle)) {
+                ruleScore += weights.keywords;
+            }
+
+            score += ruleScore * (rule.weight !== undefined ? rule.weight : 1);
+        }
+        return score;
+    };
+
+    if (options.mode === 'score') {
+        const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+        const candidates = [];
+
+        for (const stream of audioStreams) {
+            const firstMatch = audioSelectorConfig.findIndex(rule => isStreamMatch(stream, rule));
+            if (firstMatch === -1) continue;
+            const score = scoreStream(stream, weights);
+            logger.debug(`Score ${stream.id}: ${score} (rule #${firstMatch + 1})`);
+            candidates.push({ stream, rule: firstMatch, score });
+        }
+
+        return candidates.sort((a, b) =>
+            (b.score - a.score) ||
+            (a.rule - b.rule) ||
+            ((b.stream.channels || 0) - (a.stream.channels || 0)) ||
+            (Number(a.stream.id) - Number(b.stream.id))
+        );
+    }
+
+    const ranked = [];
     for (let i = 0; i < audioSelectorConfig.length; i++) {
         const rule = audioSelectorConfig[i];
-        const matchedStream = audioStreams.find(stream => isStreamMatch(stream, rule));
-        if (matchedStream) {
-            logger.debug(`Selected: ${matchedStream.id} ${matchedStream.codec} ${matchedStream.channels}ch (rule #${i + 1})`);
-            return matchedStream;
+        for (const stream of audioStreams) {
+            if (ranked.some(c => c.stream === stream)) continue;
+            if (isStreamMatch(stream, rule)) {
+                ranked.push({ stream, rule: i, score: undefined });
+            }
         }
     }
+    return ranked;
+}
+
+function selectBestAudioStream(mediaInfo, currentStreamId, audioSelectorConfig, options = {}) {
+    const ranked = rankAudioStreams(mediaInfo, currentStreamId, audioSelectorConfig, options);
+
+    if (ranked.length === 0) {
+        logger.debug('No match');
+        return undefined;
+    }
 
-    logger.debug('No match');
-    return undefined;
+    const best = ranked[0];
+    const reason = best.score !== undefined ? `score ${best.score}` : `rule #${best.rule + 1}`;
+    logger.debug(`Selected: ${best.stream.id} ${best.stream.codec} ${best.stream.channels}ch (${reason})`);
+    return best.stream;
 }
 
 module.exports = {
     selectBestAudioStream,
+    rankAudioStreams,
+    getSelectionOptions,
 };
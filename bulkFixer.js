@@ -1,38 +1,105 @@
-const fs = require('fs');
-const path = require('path');
 const logger = require('./logger');
 const plexClient = require('./plexClient');
 const audioSelector = require('./audioSelector');
-const { getStreamsFromSession } = require('./mediaHelpers');
-
-const STATE_FILE = path.resolve(__dirname, 'scan_state.json');
+const ruleResolver = require('./ruleResolver');
+const stateStore = require('./stateStore');
+const journal = require('./journal');
+const { getAllParts } = require('./mediaHelpers');
+const { parseSchedule, nextRun } = require('./schedule');
+const libraryScope = require('./libraryScope');
+const { createRateLimiter } = require('./rateLimiter');
+
+const STATE_FILE = 'scan_state.json';
+// Save progress within a library at most this often
+const CHECKPOINT_INTERVAL_MS = 30000;
+// setTimeout overflows above ~24.8 days; longer waits are split
+const MAX_TIMEOUT_MS = 2147483647;
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_PROGRESS_INTERVAL_SECONDS = 60;
+
+let isRunning = false;
+// Journal run id of the run in progress
+let currentRunId = null;
+// Proposed changes while planning (see plan()), null during normal runs
+let currentPlan = null;
+// Awaited before every Plex request; paced by pre_selection.max_requests_per_second during scans
+let throttle = createRateLimiter(0);
+let scheduleTimer = null;
+let scheduleStopped = true;
 
 /**
  * Loads the last scan state.
  * Returns empty object if file missing or corrupt.
+ * Format: { [section uuid]: { title, lastScanTime, scope? } }. Older files used { [title]: lastScanTime }.
  */
 function loadState() {
-    try {
-        if (!fs.existsSync(STATE_FILE)) return {};
-        const data = fs.readFileSync(STATE_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        logger.warn(`Failed to load state file: ${error.message}. Defaulting to full scan.`);
-        return {};
-    }
+    return stateStore.load(STATE_FILE, {});
 }
 
 /**
- * Saves the scan state.
+ * Gets the last scan time of a library, falling back to the legacy title key.
+ * Progress made with a different pre_selection.scope does not count.
  */
-function saveState(state) {
-    try {
-        fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-    } catch (error) {
-        logger.error(`Failed to save state file: ${error.message}`);
+function getLastScanTime(state, section, scope) {
+    const entry = state[section.uuid || section.title];
+    if (entry && typeof entry === 'object') return entry.scope === scope ? entry.lastScanTime || 0 : 0;
+    if (typeof state[section.title] === 'number' && scope === undefined) return state[section.title];
+    return 0;
+}
+
+/**
+ * Records a library's scan progress and saves it (not in dry run).
+ */
+function saveCheckpoint(state, section, lastScanTime, config) {
+    if (typeof state[section.title] === 'number') {
+        delete state[section.title];
+    }
+    const scope = libraryScope.scopeKey(config.pre_selection?.scope);
+    state[section.uuid || section.title] = scope === undefined
+        ? { title: section.title, lastScanTime }
+        : { title: section.title, lastScanTime, scope };
+
+    if (!config.dry_run && !currentPlan) {
+        stateStore.save(STATE_FILE, state);
+        logger.debug(`[Bulk] Checkpoint ${section.title}: ${lastScanTime}`);
     }
 }
 
+/**
+ * Tracks finished items of a streamed scan. Items must arrive sorted by updatedAt ascending.
+ * value() is the highest updatedAt up to which every item is done, so a resumed scan
+ * (updatedAt > value) only repeats items that were still in flight.
+ * If items arrive out of order, progress stays at lastScanTime until the scan completes.
+ */
+function createCheckpointTracker(lastScanTime) {
+    const updatedAts = [];
+    const done = [];
+    const indexes = new Map();
+    let finished = 0;
+    let sorted = true;
+
+    return {
+        add(item) {
+            const updatedAt = item.updatedAt || 0;
+            if (updatedAts.length > 0 && updatedAt < updatedAts[updatedAts.length - 1]) sorted = false;
+            indexes.set(item, updatedAts.length);
+            updatedAts.push(updatedAt);
+            done.push(false);
+        },
+        markDone(item) {
+            done[indexes.get(item)] = true;
+            indexes.delete(item);
+            while (finished < done.length && done[finished]) finished++;
+        },
+        value() {
+            if (!sorted || finished === 0) return lastScanTime;
+            // The next item (or a later page) may share the last finished updatedAt
+            const next = finished < updatedAts.length ? updatedAts[finished] : updatedAts[finished - 1];
+            return Math.max(lastScanTime, next - 1);
+        }
+    };
+}
+
 /**
  * Validates the pre-selection configuration.
  * Throws an error if invalid.
@@ -43,119 +110,221 @@ function validateConfig(config) {
     if (config.pre_selection.libraries && !Array.isArray(config.pre_selection.libraries)) {
         throw new Error('config.pre_selection.libraries must be an array of strings');
     }
+
+    if (config.pre_selection.users !== undefined && !Array.isArray(config.pre_selection.users)) {
+        throw new Error('config.pre_selection.users must be an array of usernames or user ids');
+    }
+
+    libraryScope.validateScope(config.pre_selection.scope);
+
+    const { concurrency, max_requests_per_second: rps, progress_interval_seconds: progress } = config.pre_selection;
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 50)) {
+        throw new Error(`config.pre_selection.concurrency must be an integer from 1 to 50 (got: ${concurrency})`);
+    }
+    if (rps !== undefined && (typeof rps !== 'number' || rps < 0)) {
+        throw new Error(`config.pre_selection.max_requests_per_second must be a number >= 0 (got: ${rps})`);
+    }
+    if (progress !== undefined && (typeof progress !== 'number' || progress < 0)) {
+        throw new Error(`config.pre_selection.progress_interval_seconds must be a number >= 0 (got: ${progress})`);
+    }
+
+    if (config.pre_selection.schedule !== undefined && config.pre_selection.schedule !== null) {
+        try {
+            parseSchedule(config.pre_selection.schedule);
+        } catch (error) {
+            throw new Error(`config.pre_selection.${error.message}`);
+        }
+    }
 }
 
 /**
- * Helper to safely get the Part ID from media info.
- * Reused pattern from audioFixer.js for consistency.
+ * Helper to check if an item has complete audio stream info for every part.
  */
-function safelyGetPartId(mediaItem) {
-    try {
-        const hasMedia = mediaItem && mediaItem.Media && mediaItem.Media[0];
-        const hasPart = hasMedia && mediaItem.Media[0].Part && mediaItem.Media[0].Part[0];
+function hasCompleteMetadata(item) {
+    const parts = getAllParts(item);
+    return parts.length > 0 && parts.every(({ part }) => part.Stream && part.Stream.length > 0);
+}
 
-        if (!hasPart) return null;
-        return mediaItem.Media[0].Part[0].id;
-    } catch (e) {
-        return null;
-    }
+/**
+ * Builds the list of users to pre-select for: the owner, then every managed/shared user,
+ * each filtered by pre_selection.users and the global users.include/exclude (owner matched by owner_username).
+ * Owner has token null (the default owner token is used).
+ */
+async function resolveTargetUsers(config) {
+    const owner = { id: null, title: config.owner_username, token: null, allLibraries: true, sections: [] };
+    const filter = config.pre_selection?.users || [];
+
+    const managedUsers = await plexClient.fetchManagedUsers();
+    const targets = [owner, ...managedUsers].filter(user => {
+        if (filter.length > 0 && !filter.some(ref => ruleResolver.matchesUser(user, ref))) return false;
+        return ruleResolver.isUserAllowed(user, config);
+    });
+
+    const ownerIncluded = targets[0] === owner;
+    logger.info(`[Bulk] Users: ${ownerIncluded ? 'owner + ' : ''}${targets.length - (ownerIncluded ? 1 : 0)} managed/shared`);
+    return targets;
+}
+
+function describeStream(stream) {
+    if (!stream) return null;
+    return {
+        id: stream.id,
+        codec: stream.codec || null,
+        channels: stream.channels || null,
+        language: stream.language || stream.languageCode || null,
+        title: stream.displayTitle || stream.title || null
+    };
 }
 
 /**
- * Helper to check if an item has complete audio stream info.
+ * Ranks the audio streams of one part for a user (user override or global rules).
+ * @returns {{currentStream: Object|undefined, best: Object|undefined, rule: string|null}}
+ *   best is the top ranked {stream, rule, score}, rule e.g. "global#2"
  */
-function hasCompleteMetadata(item) {
-    const hasMedia = item && item.Media && item.Media[0];
-    const hasPart = hasMedia && item.Media[0].Part && item.Media[0].Part[0];
-    const hasStreams = hasPart && item.Media[0].Part[0].Stream && item.Media[0].Part[0].Stream.length > 0;
-    return hasStreams;
+function selectForPart(mediaInfo, part, config, user) {
+    const currentStream = part.Stream.find(s => s.streamType === 2 && s.selected);
+    const currentStreamId = currentStream ? currentStream.id : null;
+
+    const override = ruleResolver.findUserOverride(user, config);
+    const ruleSource = override ? `user:${override.user}` : 'global';
+    const ranked = audioSelector.rankAudioStreams(
+        mediaInfo,
+        currentStreamId,
+        override ? override.audio_selector : config.audio_selector,
+        { ...audioSelector.getSelectionOptions(config), partId: part.id }
+    );
+
+    const best = ranked[0];
+    return { currentStream, best, rule: best ? `${ruleSource}#${best.rule + 1}` : null };
 }
 
 /**
- * Processes a single media item.
+ * Evaluates and updates a single Media/Part of an item for one user.
+ * While planning, the change is recorded instead of applied.
+ * origin is what the switch is journaled as (default: the bulk run in progress).
+ * @returns {Promise<boolean>} True if the selection was (or would be) changed
  */
-async function processItem(item, config) {
-    const ratingKey = item.ratingKey;
-    try {
-        let mediaInfo = item;
+async function processPart(mediaInfo, part, label, config, user, origin = { source: 'bulk', runId: currentRunId }) {
+    const ratingKey = mediaInfo.ratingKey;
 
-        // Optimization: Use existing data if complete, otherwise fetch
-        if (hasCompleteMetadata(item)) {
-            // logger.debug(`[Opt] Using existing metadata for ${ratingKey}`); 
-        } else {
-            // logger.debug(`[Opt] Fetching full metadata for ${ratingKey}`);
-            mediaInfo = await plexClient.fetchMetadata(ratingKey);
+    if (!part.Stream) {
+        return false;
+    }
+
+    const { currentStream, best, rule } = selectForPart(mediaInfo, part, config, user);
+    const currentStreamId = currentStream ? currentStream.id : null;
+
+    if (!best) return false;
+    const bestStream = best.stream;
+
+    if (String(bestStream.id) !== String(currentStreamId)) {
+        if (currentPlan) {
+            logger.debug(`[Plan] ${mediaInfo.title} (${ratingKey}${label}) for ${user.title}: ${currentStreamId} -> ${bestStream.id}`);
+            currentPlan.push({
+                ratingKey: ratingKey,
+                title: mediaInfo.title,
+                partId: part.id,
+                user: { id: user.id, title: user.title },
+                oldStream: describeStream(currentStream),
+                newStream: describeStream(bestStream),
+                rule: rule
+            });
+            return true;
         }
 
-        // 2. Extract current stream
-        const media = mediaInfo.Media && mediaInfo.Media[0];
-        const part = media && media.Part && media.Part[0];
+        logger.info(`[Bulk] Updating ${mediaInfo.title} (${ratingKey}${label}) for ${user.title}: ${currentStreamId} -> ${bestStream.id} (${bestStream.codec})`);
 
-        if (!part || !part.Stream) {
-            // logger.debug(`Skipping ${ratingKey}: No streams found`); // fast path silence
-            return;
+        if (config.dry_run) {
+            logger.info(`[DRY] Would set audio stream to ${bestStream.id}`);
+        } else {
+            await throttle();
+            await plexClient.setSelectedAudioStream(part.id, bestStream.id, user.token, false);
+            journal.record({
+                source: origin.source,
+                runId: origin.runId,
+                ratingKey: ratingKey,
+                title: mediaInfo.title,
+                partId: part.id,
+                user: { id: user.id, title: user.title },
+                oldStreamId: currentStreamId,
+                newStreamId: bestStream.id,
+                rule: rule
+            });
+            logger.info(`[Bulk] Updated successfully`);
         }
+        return true;
+    }
+    return false;
+}
 
-        const streams = part.Stream;
-        const currentStream = streams.find(s => s.streamType === 2 && s.selected);
-        const currentStreamId = currentStream ? currentStream.id : null;
-
-        // 3. Select best stream
-        const bestStream = audioSelector.selectBestAudioStream(
-            mediaInfo,
-            currentStreamId,
-            config.audio_selector
-        );
-
-        if (!bestStream) return;
-
-        // 4. Compare and Action
-        if (String(bestStream.id) !== String(currentStreamId)) {
-            const partId = safelyGetPartId(mediaInfo);
-            if (!partId) {
-                logger.warn(`Could not get Part ID for ${ratingKey}`);
-                return;
+/**
+ * Processes a single media item (every version and part) for every user.
+ * @returns {Promise<{changed: number, failed: number}>} Parts changed / failed, over all users
+ */
+async function processItem(item, config, users, origin) {
+    const ratingKey = item.ratingKey;
+    const result = { changed: 0, failed: 0 };
+
+    for (const user of users) {
+        try {
+            let mediaInfo = item;
+
+            // Optimization: Use existing (owner) data if complete, otherwise fetch.
+            // Other users always need their own metadata to see their selection.
+            if (user.token || !hasCompleteMetadata(item)) {
+                await throttle();
+                mediaInfo = await plexClient.fetchMetadata(ratingKey, user.token);
             }
 
-            logger.info(`[Bulk] Updating ${mediaInfo.title} (${ratingKey}): ${currentStreamId} -> ${bestStream.id} (${bestStream.codec})`);
+            const parts = getAllParts(mediaInfo);
+            const multiple = parts.length > 1;
 
-            if (config.dry_run) {
-                logger.info(`[DRY] Would set audio stream to ${bestStream.id}`);
-            } else {
-                await plexClient.setSelectedAudioStream(partId, bestStream.id, null, false);
-                logger.info(`[Bulk] Updated successfully`);
+            for (const { part, mediaIndex, partIndex } of parts) {
+                const label = multiple ? ` v${mediaIndex + 1}/p${partIndex + 1}` : '';
+                try {
+                    if (await processPart(mediaInfo, part, label, config, user, origin)) result.changed++;
+                } catch (error) {
+                    logger.error(`[Bulk] Failed to process ${ratingKey}${label} for ${user.title}: ${error.message}`);
+                    result.failed++;
+                }
             }
-        }
 
-    } catch (error) {
-        logger.error(`[Bulk] Failed to process ${ratingKey}: ${error.message}`);
+        } catch (error) {
+            logger.error(`[Bulk] Failed to process ${ratingKey} for ${user.title}: ${error.message}`);
+            result.failed++;
+        }
     }
+    return result;
 }
 
 /**
  * Native batch processor (concurrency limiter).
- * Processes items array in chunks of 'limit'.
+ * 'limit' workers pull from a shared (async) iterable, so items are processed
+ * while later pages are still being fetched.
+ * onItemDone(item, result) gets processItem's result, or null for skipped item types.
  */
-async function processBatch(items, config, limit = 5) {
-    let index = 0;
-    const results = [];
-
-    // We create 'limit' number of workers
-    // Each worker picks the next item from the shared 'items' array
+async function processBatch(items, config, users, limit = DEFAULT_CONCURRENCY, onItemDone = () => {}) {
+    const iterator = items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
 
     const worker = async () => {
-        while (index < items.length) {
-            const i = index++; // atomic increment
-            const item = items[i];
+        while (true) {
+            const { value: item, done } = await iterator.next();
+            if (done) return;
 
             // Filter for likely video items (Movie or Episode)
-            if (item.type !== 'movie' && item.type !== 'episode') continue;
+            if (item.type !== 'movie' && item.type !== 'episode') {
+                onItemDone(item, null);
+                continue;
+            }
 
+            let result;
             try {
-                await processItem(item, config);
+                result = await processItem(item, config, users);
             } catch (err) {
                 logger.error(`Worker error on item ${item.ratingKey}: ${err.message}`);
+                result = { changed: 0, failed: 1 };
             }
+            onItemDone(item, result);
         }
     };
 
@@ -164,7 +333,49 @@ async function processBatch(items, config, limit = 5) {
         workers.push(worker());
     }
 
-    await Promise.all(workers);
+    // A failed page stops the workers only after their current item, so no item is processed once the run ended
+    const results = await Promise.allSettled(workers);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Logs a library's progress every intervalMs (0 = never) until stopped.
+ * countPending(processed) returns the items still to do, or undefined while unknown.
+ */
+function createProgressReporter(title, intervalMs, countPending) {
+    const startedAt = Date.now();
+    const counts = { processed: 0, changed: 0, failed: 0 };
+
+    const report = () => {
+        const rate = counts.processed / Math.max((Date.now() - startedAt) / 1000, 1);
+        const pending = countPending(counts.processed);
+        const eta = pending !== undefined && rate > 0 ? formatDuration(pending / rate * 1000) : 'unknown';
+        logger.info(`[Bulk] ${title}: ${counts.processed} processed, ${counts.changed} changed, ${counts.failed} failed (${rate.toFixed(1)}/s, ETA ${eta})`);
+    };
+    const timer = intervalMs > 0 ? setInterval(report, intervalMs) : null;
+
+    return {
+        counts,
+        record(result) {
+            counts.processed++;
+            if (result?.changed > 0) counts.changed++;
+            if (result?.failed > 0) counts.failed++;
+        },
+        stop() {
+            if (timer) clearInterval(timer);
+        }
+    };
 }
 
 /**
@@ -176,22 +387,70 @@ async function run(config) {
         return;
     }
 
-    logger.info('Starting Bulk Pre-selection...');
+    if (isRunning) {
+        logger.warn('[Bulk] Previous run still in progress - skipping');
+        return;
+    }
+
+    validateConfig(config);
+
+    currentRunId = journal.createRunId('bulk');
+    logger.info(`Starting Bulk Pre-selection... (run ${currentRunId})`);
+    try {
+        await scan(config);
+    } catch (error) {
+        logger.error(`Bulk Run Error: ${error.message}`);
+        // We don't crash main process, just log error and return so regular polling can start
+    } finally {
+        currentRunId = null;
+    }
+}
+
+/**
+ * Scans all libraries (ignoring scan state) and returns the changes a run would make.
+ * Nothing is changed and no scan state is saved.
+ * @returns {Promise<Object[]>} Changes: {ratingKey, title, partId, user, oldStream, newStream, rule}
+ */
+async function plan(config) {
+    if (isRunning) {
+        throw new Error('Pre-selection run in progress - try again later');
+    }
+
     validateConfig(config);
 
+    currentPlan = [];
+    logger.info('Planning Bulk Pre-selection...');
+    try {
+        await scan(config);
+        logger.info(`Plan: ${currentPlan.length} changes`);
+        return currentPlan;
+    } finally {
+        currentPlan = null;
+    }
+}
+
+async function scan(config) {
+    isRunning = true;
+    const concurrency = config.pre_selection?.concurrency ?? DEFAULT_CONCURRENCY;
+    const progressIntervalMs = (config.pre_selection?.progress_interval_seconds ?? DEFAULT_PROGRESS_INTERVAL_SECONDS) * 1000;
+    throttle = createRateLimiter(config.pre_selection?.max_requests_per_second || 0);
     try {
         // 0. Load State
         const state = loadState();
-        const newState = { ...state };
         let totalProcessed = 0;
         let totalSkipped = 0;
+        let totalChanged = 0;
+        let totalFailed = 0;
 
-        // 1. Fetch all libraries
+        // 1. Fetch all libraries and the users to apply selections for
+        await throttle();
         const sections = await plexClient.fetchLibraries();
+        const users = await resolveTargetUsers(config);
         logger.info(`Found ${sections.length} libraries`);
 
-        const targetLibNames = config.pre_selection.libraries || [];
+        const targetLibNames = config.pre_selection?.libraries || [];
         const hasTargetLibs = targetLibNames.length > 0;
+        const scope = config.pre_selection?.scope;
 
         // 2. Iterate libraries
         for (const section of sections) {
@@ -214,55 +473,250 @@ async function run(config) {
             if (section.type === 'show') fetchType = 4;
             // if (section.type === 'movie') fetchType = 1; // optional
 
-            const items = await plexClient.fetchLibraryItems(section.key, fetchType);
-            logger.info(`Found ${items.length} items in ${section.title}`);
-            const lastScanTime = state[section.title] || 0;
-
-            // 3a. Filter Incremental
-            const itemsToProcess = [];
-            let maxUpdatedAt = lastScanTime;
-
-            for (const item of items) {
-                // Ensure item has updatedAt
-                const updatedAt = item.updatedAt || 0;
-                if (updatedAt > maxUpdatedAt) maxUpdatedAt = updatedAt;
-
-                if (updatedAt > lastScanTime) {
-                    itemsToProcess.push(item);
+            const sectionFilter = await libraryScope.buildSectionFilter(section, fetchType, scope);
+            if (!sectionFilter) continue;
+
+            // Plans always cover the whole library
+            const lastScanTime = currentPlan ? 0 : getLastScanTime(state, section, libraryScope.scopeKey(scope));
+            const tracker = createCheckpointTracker(lastScanTime);
+            let totalCount = 0;
+            let changedCount = 0;
+            let outOfScopeCount = 0;
+            let totalSize;
+
+            // Items updated from here on are left to the next run, so the scan covers a fixed range
+            await throttle();
+            const latest = await plexClient.fetchLatestUpdate(section.key, fetchType, sectionFilter.params);
+            const scanUntil = Math.max(lastScanTime, latest.updatedAt);
+
+            // Not yet seen items are all changed (only items after the checkpoint are fetched)
+            const progress = createProgressReporter(section.title, progressIntervalMs, (processed) =>
+                totalSize === undefined ? undefined : Math.max(0, totalSize - totalCount) + changedCount - processed
+            );
+
+            // 3a. Filter Incremental while pages stream in, oldest first so progress can be checkpointed
+            const changedItems = async function* () {
+                if (scanUntil === lastScanTime) return;
+                const pages = plexClient.iterateLibraryItems(section.key, fetchType, {
+                    filters: sectionFilter.params,
+                    updatedAfter: lastScanTime,
+                    updatedUntil: scanUntil,
+                    throttle: throttle,
+                    onTotalSize: (size) => { totalSize = size; }
+                });
+                for await (const item of pages) {
+                    totalCount++;
+                    // Ensure item has updatedAt
+                    const updatedAt = item.updatedAt || 0;
+
+                    if (!sectionFilter.matches(item)) {
+                        outOfScopeCount++;
+                        continue;
+                    }
+
+                    if (updatedAt > lastScanTime) {
+                        changedCount++;
+                        tracker.add(item);
+                        yield item;
+                    }
+                }
+            };
+
+            let lastCheckpointAt = Date.now();
+            const onItemDone = (item, result) => {
+                tracker.markDone(item);
+                progress.record(result);
+                if (Date.now() - lastCheckpointAt >= CHECKPOINT_INTERVAL_MS) {
+                    lastCheckpointAt = Date.now();
+                    saveCheckpoint(state, section, tracker.value(), config);
                 }
+            };
+
+            // 4. Process Items (Optimized Batch), only for users this library is shared with
+            const sectionUsers = users.filter(user => user.allLibraries || user.sections.includes(section.title));
+            try {
+                await processBatch(changedItems(), config, sectionUsers, concurrency, onItemDone);
+            } catch (error) {
+                // Keep what finished so the next run resumes here
+                saveCheckpoint(state, section, tracker.value(), config);
+                throw error;
+            } finally {
+                progress.stop();
             }
 
-            const skippedCount = items.length - itemsToProcess.length;
+            const skippedCount = Math.max(0, latest.totalSize - changedCount - outOfScopeCount);
             totalSkipped += skippedCount;
+            totalProcessed += changedCount;
+            totalChanged += progress.counts.changed;
+            totalFailed += progress.counts.failed;
 
-            logger.info(`Library ${section.title}: Found ${items.length} total. Processing ${itemsToProcess.length} changed items. (Skipped ${skippedCount})`);
+            const outOfScope = outOfScopeCount > 0 ? `, ${outOfScopeCount} out of scope` : '';
+            logger.info(`Library ${section.title}: Found ${latest.totalSize} total. Processed ${changedCount} changed items: ${progress.counts.changed} updated, ${progress.counts.failed} failed. (Skipped ${skippedCount}${outOfScope})`);
 
-            if (itemsToProcess.length === 0) {
-                continue;
-            }
+            // 5. Save State for this library once the batch finished
+            saveCheckpoint(state, section, scanUntil, config);
+        }
+
+        if (config.dry_run && !currentPlan) {
+            logger.info('[DRY] Skipping state save.');
+        }
+
+        logger.info(`Bulk Pre-selection Complete. Processed: ${totalProcessed}, Updated: ${totalChanged}, Failed: ${totalFailed}, Skipped: ${totalSkipped}`);
+    } finally {
+        isRunning = false;
+        throttle = createRateLimiter(0);
+    }
+}
+
+/**
+ * Pre-selects a newly added item (library.new) right away instead of waiting for the next scan.
+ * Shows and seasons are expanded to their episodes not yet covered by a scan.
+ * pre_selection.libraries, users and scope apply as in a scan.
+ */
+async function processNewItem(ratingKey, config) {
+    if (!config.pre_selection || !config.pre_selection.enabled) {
+        logger.debug('Pre-selection disabled');
+        return;
+    }
+
+    const metadata = await plexClient.fetchMetadata(ratingKey);
+    const section = { uuid: metadata.librarySectionUUID, title: metadata.librarySectionTitle };
+    const targetLibNames = config.pre_selection.libraries || [];
+    if (targetLibNames.length > 0 && !targetLibNames.includes(section.title)) {
+        logger.debug(`[New] ${metadata.title}: library ${section.title} not in pre_selection.libraries - skipped`);
+        return;
+    }
+
+    let items = [metadata];
+    let show = null;
+    if (metadata.type === 'show' || metadata.type === 'season') {
+        const scope = libraryScope.scopeKey(config.pre_selection.scope);
+        const lastScanTime = getLastScanTime(loadState(), section, scope);
+        const leaves = await plexClient.fetchLeaves(ratingKey);
+        items = leaves.filter(leaf => (leaf.updatedAt || 0) > lastScanTime);
+        show = metadata.type === 'show' ? metadata : await plexClient.fetchMetadata(metadata.parentRatingKey);
+    } else if (metadata.type === 'episode') {
+        show = await plexClient.fetchMetadata(metadata.grandparentRatingKey);
+    } else if (metadata.type !== 'movie') {
+        logger.debug(`[New] ${metadata.title}: unsupported type ${metadata.type} - skipped`);
+        return;
+    }
+
+    items = items.filter(item => libraryScope.matchesItem(item, config.pre_selection.scope, show));
+    if (items.length === 0) {
+        logger.debug(`[New] ${metadata.title}: nothing to pre-select`);
+        return;
+    }
+
+    const users = (await resolveTargetUsers(config))
+        .filter(user => user.allLibraries || user.sections.includes(section.title));
 
-            // 4. Process Items (Optimized Batch)
-            await processBatch(itemsToProcess, config, 5); // Hard-coded limit of 5
+    logger.info(`[New] ${metadata.title}: ${items.length} item(s)`);
+    for (const item of items) {
+        await processItem(item, config, users, { source: 'new', runId: null });
+    }
+}
 
-            // Update state for this library ONLY if we successfully finished the batch
-            newState[section.title] = maxUpdatedAt;
-            totalProcessed += itemsToProcess.length;
+/**
+ * Shows what pre-selection would pick for an item and user, without changing anything.
+ * Uses the user's override or the global rules, like a scan (device profiles need a session).
+ * @param {string} ratingKey - Movie or episode
+ * @param {Object} config - Loaded config
+ * @param {string} [userRef] - Plex username or user id, default the owner
+ * @returns {Promise<Object|null>} {ratingKey, title, user, parts: [{partId, current, selected, changed, rule}]},
+ *   null if the user is neither the owner nor a managed/shared user
+ */
+async function previewItem(ratingKey, config, userRef) {
+    let user = { id: null, title: config.owner_username, token: null };
+    if (userRef !== undefined && !ruleResolver.matchesUser(user, userRef)) {
+        const managedUsers = await plexClient.fetchManagedUsers();
+        user = managedUsers.find(u => ruleResolver.matchesUser(u, userRef));
+        if (!user) return null;
+    }
+
+    const mediaInfo = await plexClient.fetchMetadata(ratingKey, user.token);
+    const parts = getAllParts(mediaInfo).map(({ part }) => {
+        if (!part.Stream) {
+            return { partId: part.id, current: null, selected: null, changed: false, rule: null };
         }
+        const { currentStream, best, rule } = selectForPart(mediaInfo, part, config, user);
+        const selected = best ? best.stream : currentStream;
+        return {
+            partId: part.id,
+            current: describeStream(currentStream),
+            selected: describeStream(selected),
+            changed: !!best && String(best.stream.id) !== String(currentStream?.id),
+            rule: rule
+        };
+    });
+
+    return {
+        ratingKey: String(ratingKey),
+        title: mediaInfo.title,
+        user: { id: user.id, title: user.title },
+        parts: parts
+    };
+}
 
-        // 5. Save State
-        if (!config.dry_run) {
-            saveState(newState);
-            logger.info('Scan state saved.');
-        } else {
-            logger.info('[DRY] Skipping state save.');
+/**
+ * @returns {boolean} True while a run or plan is scanning
+ */
+function isScanning() {
+    return isRunning;
+}
+
+function scheduleAt(date, task) {
+    const delay = Math.max(0, Math.min(date.getTime() - Date.now(), MAX_TIMEOUT_MS));
+    scheduleTimer = setTimeout(() => {
+        scheduleTimer = null;
+        if (Date.now() < date.getTime()) {
+            scheduleAt(date, task);
+            return;
         }
+        task();
+    }, delay);
+}
 
-        logger.info(`Bulk Pre-selection Complete. Processed: ${totalProcessed}, Skipped: ${totalSkipped}`);
+/**
+ * Starts recurring runs from pre_selection.schedule.
+ * Runs are not awaited, so live session handling continues meanwhile.
+ * The next run is planned only after the current one finishes, so runs never overlap.
+ */
+function startSchedule(config) {
+    if (!config.pre_selection || !config.pre_selection.enabled || !config.pre_selection.schedule) {
+        return;
+    }
 
-    } catch (error) {
-        logger.error(`Bulk Run Error: ${error.message}`);
-        // We don't crash main process, just log error and return so regular polling can start
+    validateConfig(config);
+    const schedule = parseSchedule(config.pre_selection.schedule);
+    scheduleStopped = false;
+
+    const planNext = () => {
+        if (scheduleStopped) return;
+
+        const next = nextRun(schedule, new Date());
+        if (!next) {
+            logger.warn(`[Bulk] Schedule "${config.pre_selection.schedule}" never matches - no further runs`);
+            return;
+        }
+
+        logger.info(`[Bulk] Next run: ${next.toISOString()}`);
+        scheduleAt(next, () => {
+            run(config)
+                .catch(error => logger.error(`Bulk Run Error: ${error.message}`))
+                .then(planNext);
+        });
+    };
+
+    planNext();
+}
+
+function stopSchedule() {
+    scheduleStopped = true;
+    if (scheduleTimer) {
+        clearTimeout(scheduleTimer);
+        scheduleTimer = null;
     }
 }
 
-module.exports = { run };
+module.exports = { run, plan, processNewItem, previewItem, isScanning, startSchedule, stopSchedule };
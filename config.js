@@ -2,6 +2,7 @@ const fs = require('fs');
 const yaml = require('js-yaml');
 const path = require('path');
 const logger = require('./logger');
+const { parseNetwork } = require('./ipNetworks');
 
 function validateAudioSelectorRules(rules) {
     const validCodecs = ['aac', 'ac3', 'eac3', 'dts', 'dts-hd', 'truehd', 'flac', 'mp3', 'opus', 'vorbis', 'pcm'];
@@ -30,6 +31,175 @@ function validateAudioSelectorRules(rules) {
         if (rule.keywords_exclude !== undefined && !Array.isArray(rule.keywords_exclude)) {
             throw new Error(`Invalid keywords_exclude in rule ${i}: must be array`);
         }
+
+        if (rule.weight !== undefined && (typeof rule.weight !== 'number' || rule.weight < 0)) {
+            throw new Error(`Invalid weight in rule ${i}: ${rule.weight}. Must be >= 0`);
+        }
+    }
+}
+
+function validateAudioSelectorMode(config) {
+    const validModes = ['first_match', 'score'];
+
+    // Mode defaults to first_match (original behavior)
+    if (config.audio_selector_mode === undefined) {
+        config.audio_selector_mode = 'first_match';
+    }
+    if (!validModes.includes(config.audio_selector_mode)) {
+        throw new Error(`audio_selector_mode must be one of: ${validModes.join(', ')} (got: ${config.audio_selector_mode})`);
+    }
+
+    if (config.audio_selector_weights !== undefined) {
+        if (typeof config.audio_selector_weights !== 'object' || config.audio_selector_weights === null || Array.isArray(config.audio_selector_weights)) {
+            throw new Error('audio_selector_weights must be an object');
+        }
+        const validCriteria = ['codec', 'channels', 'language', 'keywords'];
+        for (const [criterion, weight] of Object.entries(config.audio_selector_weights)) {
+            if (!validCriteria.includes(criterion)) {
+                throw new Error(`Invalid audio_selector_weights key: "${criterion}". Valid: ${validCriteria.join(', ')}`);
+            }
+            if (typeof weight !== 'number' || weight < 0) {
+                throw new Error(`audio_selector_weights.${criterion} must be >= 0 (got: ${weight})`);
+            }
+        }
+    }
+}
+
+function validateTermination(termination, prefix) {
+    const validStrategies = ['immediate', 'offset_threshold', 'defer'];
+
+    if (typeof termination !== 'object' || termination === null || Array.isArray(termination)) {
+        throw new Error(`${prefix} must be an object`);
+    }
+    if (termination.strategy !== undefined && !validStrategies.includes(termination.strategy)) {
+        throw new Error(`${prefix}.strategy must be one of: ${validStrategies.join(', ')} (got: ${termination.strategy})`);
+    }
+    if (termination.max_view_offset_seconds !== undefined) {
+        if (typeof termination.max_view_offset_seconds !== 'number' || termination.max_view_offset_seconds < 0) {
+            throw new Error(`${prefix}.max_view_offset_seconds must be >= 0 (got: ${termination.max_view_offset_seconds})`);
+        }
+    }
+}
+
+function validateDeviceProfiles(profiles) {
+    const matchFields = ['product', 'platform', 'device', 'machineIdentifier'];
+
+    if (!Array.isArray(profiles)) {
+        throw new Error('device_profiles must be an array');
+    }
+
+    const names = new Set();
+    for (let i = 0; i < profiles.length; i++) {
+        const profile = profiles[i];
+
+        if (!profile || typeof profile !== 'object') {
+            throw new Error(`device_profiles[${i}] must be an object`);
+        }
+        if (!profile.name || typeof profile.name !== 'string') {
+            throw new Error(`device_profiles[${i}].name required and must be a string`);
+        }
+        if (names.has(profile.name)) {
+            throw new Error(`device_profiles[${i}].name duplicated: "${profile.name}"`);
+        }
+        names.add(profile.name);
+
+        if (!profile.match || typeof profile.match !== 'object') {
+            throw new Error(`device_profiles[${i}].match required (${matchFields.join(', ')})`);
+        }
+        const keys = Object.keys(profile.match);
+        if (keys.length === 0) {
+            throw new Error(`device_profiles[${i}].match must specify at least one of: ${matchFields.join(', ')}`);
+        }
+        for (const key of keys) {
+            if (!matchFields.includes(key)) {
+                throw new Error(`Invalid device_profiles[${i}].match key: "${key}". Valid: ${matchFields.join(', ')}`);
+            }
+            if (typeof profile.match[key] !== 'string' || profile.match[key] === '') {
+                throw new Error(`device_profiles[${i}].match.${key} must be a non-empty string`);
+            }
+        }
+
+        if (profile.audio_selector !== undefined) {
+            if (!Array.isArray(profile.audio_selector)) {
+                throw new Error(`device_profiles[${i}].audio_selector must be array`);
+            }
+            validateAudioSelectorRules(profile.audio_selector);
+        }
+
+        if (profile.termination !== undefined) {
+            validateTermination(profile.termination, `device_profiles[${i}].termination`);
+        }
+    }
+}
+
+const TRUST_PROXY_PRESETS = ['loopback', 'linklocal', 'uniquelocal'];
+
+/**
+ * Validates webhook.trust_proxy: boolean, number of proxy hops, or proxy IPs/CIDR ranges
+ * @param {*} trustProxy - Value from config
+ * @throws {Error} If invalid
+ */
+function validateTrustProxy(trustProxy) {
+    if (typeof trustProxy === 'boolean') return;
+    if (typeof trustProxy === 'number') {
+        if (!Number.isInteger(trustProxy) || trustProxy < 0) {
+            throw new Error(`webhook.trust_proxy hop count must be an integer >= 0 (got: ${trustProxy})`);
+        }
+        return;
+    }
+
+    const entries = typeof trustProxy === 'string' ? trustProxy.split(',') : trustProxy;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('webhook.trust_proxy must be true/false, a hop count, or a list of proxy IPs/CIDR ranges');
+    }
+    for (const entry of entries) {
+        if (typeof entry === 'string' && TRUST_PROXY_PRESETS.includes(entry.trim())) continue;
+        try {
+            parseNetwork(entry);
+        } catch (error) {
+            throw new Error(`webhook.trust_proxy ${error.message}`);
+        }
+    }
+}
+
+function validateUsers(users) {
+    if (typeof users !== 'object' || users === null || Array.isArray(users)) {
+        throw new Error('users must be an object');
+    }
+
+    const isUserRef = (ref) => (typeof ref === 'string' && ref !== '') || typeof ref === 'number';
+
+    for (const list of ['include', 'exclude']) {
+        if (users[list] === undefined) {
+            users[list] = [];
+            continue;
+        }
+        if (!Array.isArray(users[list])) {
+            throw new Error(`users.${list} must be an array`);
+        }
+        for (const ref of users[list]) {
+            if (!isUserRef(ref)) {
+                throw new Error(`users.${list} entries must be Plex usernames or user ids (got: ${ref})`);
+            }
+        }
+    }
+
+    if (users.overrides === undefined) {
+        users.overrides = [];
+        return;
+    }
+    if (!Array.isArray(users.overrides)) {
+        throw new Error('users.overrides must be an array');
+    }
+    for (let i = 0; i < users.overrides.length; i++) {
+        const override = users.overrides[i];
+        if (!override || !isUserRef(override.user)) {
+            throw new Error(`users.overrides[${i}].user required (Plex username or user id)`);
+        }
+        if (!Array.isArray(override.audio_selector)) {
+            throw new Error(`users.overrides[${i}].audio_selector must be array`);
+        }
+        validateAudioSelectorRules(override.audio_selector);
     }
 }
 
@@ -96,8 +266,9 @@ function loadConfig() {
     if (!config.mode) {
         throw new Error('Missing: mode');
     }
-    if (config.mode !== 'webhook' && config.mode !== 'polling') {
-        throw new Error(`mode must be 'webhook' or 'polling' (got: ${config.mode})`);
+    const validModes = ['webhook', 'polling', 'websocket'];
+    if (!validModes.includes(config.mode)) {
+        throw new Error(`mode must be one of: ${validModes.join(', ')} (got: ${config.mode})`);
     }
 
     // Dry run must be specified
@@ -116,6 +287,65 @@ function loadConfig() {
         throw new Error(`terminate_stream must be boolean (got: ${config.terminate_stream})`);
     }
 
+    // Termination strategy (terminate_stream must still be true for any termination)
+    if (config.termination === undefined) {
+        config.termination = {};
+    }
+    validateTermination(config.termination, 'termination');
+    if (config.termination.strategy === undefined) {
+        config.termination.strategy = 'immediate';
+    }
+    if (config.termination.max_view_offset_seconds === undefined) {
+        config.termination.max_view_offset_seconds = 300;
+    }
+
+    // Temporary switch: restore the user's original track when the session ends
+    if (config.temporary_switch === undefined) {
+        config.temporary_switch = false;
+    }
+    if (typeof config.temporary_switch !== 'boolean') {
+        throw new Error(`temporary_switch must be boolean (got: ${config.temporary_switch})`);
+    }
+    if (config.temporary_switch && !config.terminate_stream) {
+        throw new Error('temporary_switch requires terminate_stream: true');
+    }
+
+    // Audio "copy" (direct stream) during a video transcode is fine by default
+    if (config.accept_audio_copy === undefined) {
+        config.accept_audio_copy = true;
+    }
+    if (typeof config.accept_audio_copy !== 'boolean') {
+        throw new Error(`accept_audio_copy must be boolean (got: ${config.accept_audio_copy})`);
+    }
+
+    // Change audio on controllable players without stopping playback
+    if (config.in_place_switch === undefined) {
+        config.in_place_switch = false;
+    }
+    if (typeof config.in_place_switch !== 'boolean') {
+        throw new Error(`in_place_switch must be boolean (got: ${config.in_place_switch})`);
+    }
+
+    // Fallback to next-ranked stream when validation fails
+    if (config.fallback === undefined) {
+        config.fallback = {};
+    }
+    if (typeof config.fallback !== 'object' || config.fallback === null) {
+        throw new Error('fallback must be an object');
+    }
+    if (config.fallback.max_attempts === undefined) {
+        config.fallback.max_attempts = 3;
+    }
+    if (!Number.isInteger(config.fallback.max_attempts) || config.fallback.max_attempts < 1) {
+        throw new Error(`fallback.max_attempts must be an integer >= 1 (got: ${config.fallback.max_attempts})`);
+    }
+    if (config.fallback.revert_to_original === undefined) {
+        config.fallback.revert_to_original = true;
+    }
+    if (typeof config.fallback.revert_to_original !== 'boolean') {
+        throw new Error(`fallback.revert_to_original must be boolean (got: ${config.fallback.revert_to_original})`);
+    }
+
     // Check interval required for polling mode
     if (config.mode === 'polling') {
         if (!config.check_interval || typeof config.check_interval !== 'number' || config.check_interval <= 0) {
@@ -123,6 +353,49 @@ function loadConfig() {
         }
     }
 
+    // WebSocket reconnect settings (optional, websocket mode only)
+    if (config.mode === 'websocket') {
+        if (config.websocket === undefined) {
+            config.websocket = {};
+        }
+        if (typeof config.websocket !== 'object' || config.websocket === null) {
+            throw new Error('websocket must be an object');
+        }
+        if (config.websocket.reconnect_initial_delay_ms === undefined) {
+            config.websocket.reconnect_initial_delay_ms = 1000;
+        }
+        if (config.websocket.reconnect_max_delay_ms === undefined) {
+            config.websocket.reconnect_max_delay_ms = 60000;
+        }
+        for (const field of ['reconnect_initial_delay_ms', 'reconnect_max_delay_ms']) {
+            if (typeof config.websocket[field] !== 'number' || config.websocket[field] <= 0) {
+                throw new Error(`websocket.${field} must be > 0 (got: ${config.websocket[field]})`);
+            }
+        }
+        if (config.websocket.reconnect_max_delay_ms < config.websocket.reconnect_initial_delay_ms) {
+            throw new Error('websocket.reconnect_max_delay_ms must be >= websocket.reconnect_initial_delay_ms');
+        }
+    }
+
+    // Event queue for webhook/websocket events (optional)
+    if (config.event_queue === undefined) {
+        config.event_queue = {};
+    }
+    if (typeof config.event_queue !== 'object' || config.event_queue === null) {
+        throw new Error('event_queue must be an object');
+    }
+    if (config.event_queue.concurrency === undefined) {
+        config.event_queue.concurrency = 4;
+    }
+    if (config.event_queue.max_size === undefined) {
+        config.event_queue.max_size = 1000;
+    }
+    for (const field of ['concurrency', 'max_size']) {
+        if (!Number.isInteger(config.event_queue[field]) || config.event_queue[field] < 1) {
+            throw new Error(`event_queue.${field} must be an integer >= 1 (got: ${config.event_queue[field]})`);
+        }
+    }
+
     // Webhook config required for webhook mode
     if (config.mode === 'webhook') {
         if (!config.webhook) {
@@ -149,6 +422,41 @@ function loadConfig() {
 
         // Optional webhook secret
         config.webhook.secret = config.webhook.secret || '';
+        if (typeof config.webhook.secret !== 'string') {
+            throw new Error('webhook.secret must be a string');
+        }
+
+        // Optional HMAC request signing
+        config.webhook.hmac_secret = config.webhook.hmac_secret || '';
+        if (typeof config.webhook.hmac_secret !== 'string') {
+            throw new Error('webhook.hmac_secret must be a string');
+        }
+        if (config.webhook.hmac_max_age_seconds === undefined) {
+            config.webhook.hmac_max_age_seconds = 300;
+        }
+        if (typeof config.webhook.hmac_max_age_seconds !== 'number' || config.webhook.hmac_max_age_seconds <= 0) {
+            throw new Error(`webhook.hmac_max_age_seconds must be > 0 (got: ${config.webhook.hmac_max_age_seconds})`);
+        }
+
+        // Optional admin API token (empty = admin API disabled)
+        config.webhook.admin_token = config.webhook.admin_token || '';
+        if (typeof config.webhook.admin_token !== 'string') {
+            throw new Error('webhook.admin_token must be a string');
+        }
+        if (config.webhook.admin_token) {
+            if (config.webhook.admin_token.length < 16 || /\s/.test(config.webhook.admin_token)) {
+                throw new Error('webhook.admin_token must be at least 16 characters without spaces');
+            }
+            if (config.webhook.admin_token === config.webhook.secret) {
+                throw new Error('webhook.admin_token must differ from webhook.secret');
+            }
+        }
+
+        // Optional reverse proxy trust (defaults to false: X-Forwarded-For is ignored)
+        if (config.webhook.trust_proxy === undefined) {
+            config.webhook.trust_proxy = false;
+        }
+        validateTrustProxy(config.webhook.trust_proxy);
 
         // Optional local_only mode (defaults to true for security)
         if (config.webhook.local_only === undefined) {
@@ -169,12 +477,14 @@ function loadConfig() {
             if (config.webhook.allowed_networks.length === 0) {
                 throw new Error('webhook.allowed_networks must contain at least one entry');
             }
-            // Validate each entry is a string
-            for (const network of config.webhook.allowed_networks) {
-                if (typeof network !== 'string' || network.trim() === '') {
-                    throw new Error('webhook.allowed_networks entries must be non-empty strings (IP or CIDR)');
+            // Validate each entry is an IP or CIDR range (IPv4 or IPv6)
+            config.webhook.allowed_networks.forEach((network, i) => {
+                try {
+                    parseNetwork(network);
+                } catch (error) {
+                    throw new Error(`webhook.allowed_networks[${i}] ${error.message}`);
                 }
-            }
+            });
         }
 
         // Optional initial delay before session lookup
@@ -200,6 +510,20 @@ function loadConfig() {
     }
 
     validateAudioSelectorRules(config.audio_selector);
+    validateAudioSelectorMode(config);
+
+    // Optional per-client device profiles
+    if (config.device_profiles !== undefined) {
+        validateDeviceProfiles(config.device_profiles);
+    } else {
+        config.device_profiles = [];
+    }
+
+    // Optional per-user include/exclude lists and rule overrides
+    if (config.users === undefined) {
+        config.users = {};
+    }
+    validateUsers(config.users);
 
     // Config versioning
     if (config.config_version !== undefined && config.config_version !== 1) {
@@ -269,7 +593,7 @@ function loadConfig() {
         }
     }
 
-    logger.debug(`mode=${config.mode} dry_run=${config.dry_run} terminate_stream=${config.terminate_stream}`);
+    logger.debug(`mode=${config.mode} dry_run=${config.dry_run} terminate_stream=${config.terminate_stream} audio_selector_mode=${config.audio_selector_mode}`);
 
     return config;
 }
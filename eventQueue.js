@@ -0,0 +1,139 @@
+/**
+ * Event Queue
+ * Serializes webhook/websocket events per player, coalesces duplicates and caps concurrency.
+ * - Events of one player run one at a time, in arrival order
+ * - An event identical to the last one still waiting for its player is dropped (coalesced)
+ * - At most `concurrency` players are processed at once
+ * - Beyond `max_size` waiting events, new events are dropped
+ */
+
+const logger = require('./logger');
+
+// Play-like events trigger the same processing, so bursts of them coalesce
+const PLAY_EVENTS = ['media.play', 'media.resume', 'playback.started'];
+
+function playerKey(payload) {
+    const player = payload.Player?.uuid;
+    if (player && player !== 'unknown') return player;
+    // Events without a player (e.g. library.new) are serialized per item
+    return `item:${payload.Metadata?.ratingKey}`;
+}
+
+function dedupKey(payload) {
+    const event = PLAY_EVENTS.includes(payload.event) ? 'play' : payload.event;
+    return `${event}|${payload.Metadata?.ratingKey}`;
+}
+
+/**
+ * Create an event queue
+ * @param {Object} options - config.event_queue
+ * @param {number} options.concurrency - Players processed at once
+ * @param {number} options.max_size - Max waiting events
+ * @param {function(Object): Promise} handler - Processes one event
+ * @returns {{push: function(Object): boolean, stats: function(): Object, drain: function(): Promise<void>}}
+ */
+function createEventQueue({ concurrency, max_size: maxSize }, handler) {
+    // player -> waiting events (oldest first)
+    const waiting = new Map();
+    // players with waiting events and nothing running, in arrival order
+    const ready = [];
+    const active = new Set();
+    const idleWaiters = [];
+    const counts = { received: 0, processed: 0, coalesced: 0, dropped: 0, failed: 0 };
+    let depth = 0;
+    let overloaded = false;
+
+    const notifyIdle = () => {
+        if (depth === 0 && active.size === 0) {
+            idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    };
+
+    const runNext = () => {
+        while (active.size < concurrency && ready.length > 0) {
+            const player = ready.shift();
+            const events = waiting.get(player);
+            const payload = events.shift();
+            if (events.length === 0) waiting.delete(player);
+            depth--;
+            active.add(player);
+
+            Promise.resolve()
+                .then(() => handler(payload))
+                .then(() => {
+                    counts.processed++;
+                }, error => {
+                    counts.failed++;
+                    logger.error(`Queue: ${payload.event} ${payload.Metadata?.ratingKey}: ${error.message}`);
+                })
+                .finally(() => {
+                    active.delete(player);
+                    if (waiting.has(player)) ready.push(player);
+                    if (overloaded && depth <= maxSize / 4) {
+                        overloaded = false;
+                        logger.info(`Queue: recovered (${depth} waiting)`);
+                    }
+                    runNext();
+                    notifyIdle();
+                });
+        }
+    };
+
+    return {
+        /**
+         * Queue an event
+         * @returns {boolean} False if it was coalesced or dropped
+         */
+        push(payload) {
+            counts.received++;
+            const player = playerKey(payload);
+            const events = waiting.get(player) || [];
+
+            const last = events[events.length - 1];
+            if (last && dedupKey(last) === dedupKey(payload)) {
+                counts.coalesced++;
+                logger.debug(`Queue: coalesced ${payload.event} ${payload.Metadata?.ratingKey} (${player})`);
+                return false;
+            }
+
+            if (depth >= maxSize) {
+                counts.dropped++;
+                logger.warn(`Queue: full (${depth} waiting) - dropped ${payload.event} ${payload.Metadata?.ratingKey}`);
+                return false;
+            }
+
+            events.push(payload);
+            waiting.set(player, events);
+            depth++;
+            if (events.length === 1 && !active.has(player)) ready.push(player);
+
+            if (!overloaded && depth >= maxSize / 2) {
+                overloaded = true;
+                logger.warn(`Queue: ${depth} events waiting (max ${maxSize}) - processing is falling behind`);
+            }
+            logger.debug(`Queue: ${payload.event} ${payload.Metadata?.ratingKey} (${player}) - ${depth} waiting, ${active.size} running`);
+
+            runNext();
+            return true;
+        },
+
+        /**
+         * Queue depth and counters since start
+         */
+        stats() {
+            return { waiting: depth, running: active.size, ...counts };
+        },
+
+        /**
+         * Resolves once no events are waiting or running
+         */
+        drain() {
+            return new Promise(resolve => {
+                idleWaiters.push(resolve);
+                notifyIdle();
+            });
+        }
+    };
+}
+
+module.exports = { createEventQueue };
@@ -0,0 +1,174 @@
+/**
+ * IP Networks
+ * Parses IPv4/IPv6 addresses and CIDR ranges for webhook.allowed_networks
+ * IPv6 supports compressed forms ("fd00::1"), embedded IPv4 ("::ffff:10.0.0.1") and zone ids ("fe80::1%eth0").
+ * IPv4-mapped IPv6 addresses are matched as IPv4.
+ */
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const HEX_GROUP_PATTERN = /^[0-9a-f]{1,4}$/i;
+// ::ffff:0:0/96
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n;
+const IPV4_MAPPED_MASK = ((1n << 96n) - 1n) << 32n;
+
+function parseIPv4(text) {
+    const match = IPV4_PATTERN.exec(text);
+    if (!match) return null;
+
+    let value = 0n;
+    for (const octet of match.slice(1)) {
+        const n = Number(octet);
+        if (n > 255 || (octet.length > 1 && octet.startsWith('0'))) return null;
+        value = (value << 8n) | BigInt(n);
+    }
+    return value;
+}
+
+function parseIPv6(text) {
+    let address = text;
+    const zone = address.indexOf('%');
+    if (zone !== -1) {
+        if (zone === address.length - 1) return null;
+        address = address.slice(0, zone);
+    }
+
+    // Embedded IPv4 in the last 32 bits
+    const groups = [];
+    const lastColon = address.lastIndexOf(':');
+    let tail = [];
+    if (lastColon !== -1 && address.slice(lastColon + 1).includes('.')) {
+        const ipv4 = parseIPv4(address.slice(lastColon + 1));
+        if (ipv4 === null) return null;
+        tail = [Number(ipv4 >> 16n), Number(ipv4 & 0xffffn)];
+        // Keep the colon when it belongs to "::"
+        address = address.slice(0, address[lastColon - 1] === ':' ? lastColon + 1 : lastColon);
+    }
+
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const parseGroups = (part) => {
+        if (part === '') return [];
+        return part.split(':').map(group => (HEX_GROUP_PATTERN.test(group) ? parseInt(group, 16) : NaN));
+    };
+    const head = parseGroups(halves[0]);
+    const rest = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if ([...head, ...rest].some(Number.isNaN)) return null;
+
+    const count = head.length + rest.length + tail.length;
+    if (halves.length === 2) {
+        if (count > 7) return null;
+        groups.push(...head, ...new Array(8 - count).fill(0), ...rest, ...tail);
+    } else {
+        if (count !== 8) return null;
+        groups.push(...head, ...tail);
+    }
+
+    return groups.reduce((value, group) => (value << 16n) | BigInt(group), 0n);
+}
+
+/**
+ * Parse an IP address
+ * @param {string} text - e.g. "192.168.1.10", "fd00::1", "::ffff:10.0.0.1", "fe80::1%eth0"
+ * @returns {{version: 4|6, value: bigint}|null} null if not an IP address
+ */
+function parseAddress(text) {
+    if (typeof text !== 'string') return null;
+    const trimmed = text.trim();
+
+    const ipv4 = parseIPv4(trimmed);
+    if (ipv4 !== null) return { version: 4, value: ipv4 };
+
+    if (!trimmed.includes(':')) return null;
+    const ipv6 = parseIPv6(trimmed);
+    if (ipv6 === null) return null;
+    if ((ipv6 & IPV4_MAPPED_MASK) === IPV4_MAPPED_PREFIX) {
+        return { version: 4, value: ipv6 & 0xffffffffn };
+    }
+    return { version: 6, value: ipv6 };
+}
+
+/**
+ * Parse an allowed_networks entry
+ * @param {string} entry - IP ("10.0.0.5") or CIDR ("10.0.0.0/8", "fd00::/8")
+ * @returns {{version: 4|6, value: bigint, prefixLength: number}}
+ * @throws {Error} If the entry is not a valid IP or CIDR
+ */
+function parseNetwork(entry) {
+    if (typeof entry !== 'string' || entry.trim() === '') {
+        throw new Error('must be a non-empty string (IP or CIDR)');
+    }
+
+    const [addressText, prefixText, ...extra] = entry.trim().split('/');
+    const address = parseAddress(addressText);
+    if (!address || extra.length > 0) {
+        throw new Error(`invalid IP or CIDR: ${entry}`);
+    }
+
+    // Mapped ranges (e.g. ::ffff:10.0.0.0/104) are IPv4 ranges, as mapped addresses are matched as IPv4
+    const mapped = address.version === 4 && addressText.includes(':');
+    const bits = address.version === 4 && !mapped ? 32 : 128;
+    let prefixLength = bits;
+    if (prefixText !== undefined) {
+        if (!/^\d{1,3}$/.test(prefixText) || Number(prefixText) > bits) {
+            throw new Error(`invalid prefix length in ${entry} (0-${bits})`);
+        }
+        prefixLength = Number(prefixText);
+    }
+
+    if (mapped) {
+        if (prefixLength < 96) {
+            throw new Error(`IPv4-mapped range ${entry} must have a prefix length of at least 96`);
+        }
+        prefixLength -= 96;
+    }
+
+    return { version: address.version, value: address.value, prefixLength };
+}
+
+function maskFor(version, prefixLength) {
+    const bits = version === 4 ? 32n : 128n;
+    const length = BigInt(prefixLength);
+    return length === 0n ? 0n : ((1n << length) - 1n) << (bits - length);
+}
+
+/**
+ * Check whether an address is inside a network
+ * @param {string} ip - Address, e.g. req.ip
+ * @param {string|Object} network - allowed_networks entry or parseNetwork result
+ * @returns {boolean} False for unparseable addresses or entries
+ */
+function matchesNetwork(ip, network) {
+    const address = parseAddress(ip);
+    if (!address) return false;
+
+    let parsed = network;
+    if (typeof network === 'string') {
+        try {
+            parsed = parseNetwork(network);
+        } catch {
+            return false;
+        }
+    }
+    if (address.version !== parsed.version) return false;
+
+    const mask = maskFor(parsed.version, parsed.prefixLength);
+    return (address.value & mask) === (parsed.value & mask);
+}
+
+/**
+ * Checks if an IP address is allowed based on configured networks
+ * @param {string} ip - Client address
+ * @param {string[]} allowedNetworks - webhook.allowed_networks
+ * @returns {boolean}
+ */
+function isAllowedIP(ip, allowedNetworks) {
+    return allowedNetworks.some(network => matchesNetwork(ip, network));
+}
+
+module.exports = {
+    parseAddress,
+    parseNetwork,
+    matchesNetwork,
+    isAllowedIP
+};
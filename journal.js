@@ -0,0 +1,92 @@
+/**
+ * Switch Journal
+ * Append-only log (JSON Lines) of every applied audio stream change, used for rollback
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const stateStore = require('./stateStore');
+
+const JOURNAL_FILE = 'switch_journal.jsonl';
+
+/**
+ * Create an id grouping the switches of one run
+ * @param {string} source - e.g. "bulk", "apply", "rollback"
+ * @returns {string} e.g. "bulk-20240101T120000Z"
+ */
+function createRunId(source) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    return `${source}-${stamp}`;
+}
+
+/**
+ * Append a switch to the journal
+ * Errors are logged, not thrown - a journal failure must not stop switching
+ * @param {Object} entry
+ * @param {string} entry.source - bulk | apply | new | live | fallback | revert | restore | rollback
+ * @param {string|null} entry.runId - Run id (bulk/apply/rollback), null for live switches
+ * @param {string} entry.ratingKey - Item rating key
+ * @param {string} [entry.title] - Item title
+ * @param {string|number} entry.partId - Part id
+ * @param {{id: *, title: string}} entry.user - User the selection belongs to
+ * @param {string|number|null} entry.oldStreamId - Previously selected stream
+ * @param {string|number} entry.newStreamId - Newly selected stream
+ * @param {string} [entry.rule] - Rule that picked the stream, e.g. "global#2"
+ */
+function record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    try {
+        fs.appendFileSync(stateStore.getPath(JOURNAL_FILE), `${line}\n`);
+    } catch (error) {
+        logger.error(`Journal: ${error.message}`);
+    }
+}
+
+/**
+ * Read all journal entries in write order. Unparseable lines are skipped.
+ * @returns {Object[]}
+ */
+function readEntries() {
+    const journalPath = stateStore.getPath(JOURNAL_FILE);
+    if (!fs.existsSync(journalPath)) return [];
+
+    const entries = [];
+    fs.readFileSync(journalPath, 'utf8').split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            logger.warn(`Journal line ${i + 1}: ${error.message} - skipped`);
+        }
+    });
+    return entries;
+}
+
+/**
+ * Filter journal entries
+ * @param {Object[]} entries - Journal entries
+ * @param {Object} filter
+ * @param {string} [filter.run] - Run id
+ * @param {Date} [filter.since] - Inclusive start
+ * @param {Date} [filter.until] - Inclusive end
+ * @param {string} [filter.item] - Rating key
+ * @returns {Object[]}
+ */
+function selectEntries(entries, { run, since, until, item } = {}) {
+    return entries.filter(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        if (run !== undefined && entry.runId !== run) return false;
+        if (since !== undefined && time < since.getTime()) return false;
+        if (until !== undefined && time > until.getTime()) return false;
+        if (item !== undefined && String(entry.ratingKey) !== String(item)) return false;
+        return true;
+    });
+}
+
+module.exports = {
+    JOURNAL_FILE,
+    createRunId,
+    record,
+    readEntries,
+    selectEntries
+};
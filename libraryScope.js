@@ -0,0 +1,205 @@
+/**
+ * Library Scope
+ * Narrows a bulk pre-selection run with pre_selection.scope:
+ * collections, labels, genres, shows, an addedAt window, a raw Plex filter query
+ * and labels to exclude. All set conditions must match; values within one list are alternatives.
+ */
+
+const logger = require('./logger');
+const plexClient = require('./plexClient');
+
+// Config list -> Plex tag filter field
+const TAG_FILTERS = {
+    collections: 'collection',
+    labels: 'label',
+    genres: 'genre'
+};
+// Metadata tag array per config list
+const TAG_ARRAYS = {
+    collections: 'Collection',
+    labels: 'Label',
+    genres: 'Genre'
+};
+const LIST_FIELDS = [...Object.keys(TAG_FILTERS), 'shows', 'exclude_labels'];
+const RELATIVE_UNITS = { h: 3600, d: 86400, w: 604800 };
+const EPISODE_TYPE = 4;
+
+/**
+ * Convert added_after / added_before to epoch seconds
+ * @param {string|Date} value - Date ("2024-01-31", YAML date) or age ("30d", "12h", "2w")
+ * @param {number} [now] - Epoch ms to count ages from
+ * @returns {number} Epoch seconds
+ */
+function parseAddedAt(value, now = Date.now()) {
+    if (value instanceof Date) {
+        return Math.floor(value.getTime() / 1000);
+    }
+    const relative = /^(\d+)([hdw])$/.exec(String(value).trim());
+    if (relative) {
+        return Math.floor(now / 1000) - Number(relative[1]) * RELATIVE_UNITS[relative[2]];
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`must be a date (e.g. "2024-01-31") or an age (e.g. "30d", "12h", "2w"), got: ${value}`);
+    }
+    return Math.floor(time / 1000);
+}
+
+/**
+ * Validate pre_selection.scope
+ * @param {Object} [scope]
+ * @throws {Error} If invalid
+ */
+function validateScope(scope) {
+    if (scope === undefined || scope === null) return;
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+        throw new Error('config.pre_selection.scope must be an object');
+    }
+
+    for (const field of LIST_FIELDS) {
+        const value = scope[field];
+        if (value !== undefined && (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v.trim() === ''))) {
+            throw new Error(`config.pre_selection.scope.${field} must be an array of names`);
+        }
+    }
+
+    for (const field of ['added_after', 'added_before']) {
+        if (scope[field] === undefined) continue;
+        try {
+            parseAddedAt(scope[field]);
+        } catch (error) {
+            throw new Error(`config.pre_selection.scope.${field} ${error.message}`);
+        }
+    }
+
+    if (scope.query !== undefined && (typeof scope.query !== 'string' || scope.query.includes('?'))) {
+        throw new Error('config.pre_selection.scope.query must be a Plex filter query string, e.g. "year>>=2020&resolution=4k"');
+    }
+}
+
+/**
+ * Identify a scope for scan state: when the scope changes, libraries are scanned from the start
+ * @param {Object} [scope]
+ * @returns {string|undefined} undefined when unscoped
+ */
+function scopeKey(scope) {
+    if (!scope || Object.keys(scope).length === 0) return undefined;
+    return JSON.stringify(Object.keys(scope).sort().map(key => [key, scope[key]]));
+}
+
+// Resolve tag titles (case-insensitive) to ids of this library
+async function resolveTagIds(section, tag, titles) {
+    const tags = await plexClient.fetchLibraryTags(section.key, tag);
+    const wanted = titles.map(title => title.toLowerCase());
+    const ids = tags.filter(t => wanted.includes(String(t.title).toLowerCase())).map(t => t.id);
+    if (ids.length < titles.length) {
+        logger.debug(`[Bulk] ${section.title}: ${titles.length - ids.length} of ${tag} [${titles.join(', ')}] not found`);
+    }
+    return ids;
+}
+
+/**
+ * Build the item filter for one library
+ * Tag filters and the addedAt window become Plex filter params, so paging only returns items in scope.
+ * Episodes are matched by the tags of their show.
+ * @param {Object} section - Library section
+ * @param {number} [itemType] - Plex type requested (4=Episode)
+ * @param {Object} [scope] - pre_selection.scope
+ * @returns {Promise<{params: Object|undefined, matches: function(Object): boolean}|null>}
+ *   null if nothing in this library can match
+ */
+async function buildSectionFilter(section, itemType, scope) {
+    if (!scope) {
+        return { params: undefined, matches: () => true };
+    }
+
+    const params = {};
+    const prefix = itemType === EPISODE_TYPE ? 'show.' : '';
+
+    for (const [field, tag] of Object.entries(TAG_FILTERS)) {
+        if (!scope[field]?.length) continue;
+        const ids = await resolveTagIds(section, tag, scope[field]);
+        if (ids.length === 0) {
+            logger.info(`[Bulk] ${section.title}: no ${field} match scope - skipped`);
+            return null;
+        }
+        params[`${prefix}${tag}`] = ids.join(',');
+    }
+
+    if (scope.exclude_labels?.length) {
+        const ids = await resolveTagIds(section, 'label', scope.exclude_labels);
+        if (ids.length > 0) {
+            params[`${prefix}label!`] = ids.join(',');
+        }
+    }
+
+    if (scope.added_after !== undefined) {
+        params['addedAt>>'] = parseAddedAt(scope.added_after);
+    }
+    if (scope.added_before !== undefined) {
+        params['addedAt<<'] = parseAddedAt(scope.added_before);
+    }
+
+    if (scope.query) {
+        for (const [key, value] of new URLSearchParams(scope.query)) {
+            params[key] = value;
+        }
+    }
+
+    let matches = () => true;
+    if (scope.shows?.length) {
+        if (itemType !== EPISODE_TYPE) {
+            logger.info(`[Bulk] ${section.title}: scope.shows set - skipped`);
+            return null;
+        }
+        const shows = scope.shows.map(show => show.toLowerCase());
+        matches = (item) => shows.includes(String(item.grandparentTitle).toLowerCase());
+    }
+
+    return { params: Object.keys(params).length > 0 ? params : undefined, matches };
+}
+
+function hasAnyTag(metadata, field, names) {
+    const wanted = names.map(name => name.toLowerCase());
+    return (metadata?.[TAG_ARRAYS[field]] || []).some(t => wanted.includes(String(t.tag).toLowerCase()));
+}
+
+/**
+ * Check a single item against the scope without a library query (e.g. a newly added item)
+ * scope.query cannot be evaluated this way, so a scope with a query matches nothing.
+ * @param {Object} item - Movie or episode metadata
+ * @param {Object} [scope] - pre_selection.scope
+ * @param {Object} [show] - Show metadata (with tags) when item is an episode
+ * @returns {boolean}
+ */
+function matchesItem(item, scope, show) {
+    if (!scope) return true;
+    if (scope.query) {
+        logger.debug(`[Bulk] ${item.title}: scope.query is only checked by scans - skipped`);
+        return false;
+    }
+
+    const tagged = item.type === 'episode' ? show : item;
+    for (const field of Object.keys(TAG_FILTERS)) {
+        if (scope[field]?.length && !hasAnyTag(tagged, field, scope[field])) return false;
+    }
+    if (scope.exclude_labels?.length && hasAnyTag(tagged, 'labels', scope.exclude_labels)) return false;
+
+    if (scope.shows?.length) {
+        const shows = scope.shows.map(title => title.toLowerCase());
+        if (item.type !== 'episode' || !shows.includes(String(item.grandparentTitle).toLowerCase())) return false;
+    }
+
+    const addedAt = item.addedAt || 0;
+    if (scope.added_after !== undefined && addedAt < parseAddedAt(scope.added_after)) return false;
+    if (scope.added_before !== undefined && addedAt > parseAddedAt(scope.added_before)) return false;
+    return true;
+}
+
+module.exports = {
+    parseAddedAt,
+    validateScope,
+    scopeKey,
+    buildSectionFilter,
+    matchesItem
+};
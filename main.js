@@ -4,15 +4,24 @@ const plexClient = require('./plexClient');
 const audioFixer = require('./audioFixer');
 const webhookServer = require('./webhookServer');
 const webhookProcessor = require('./webhookProcessor');
+const plexNotifications = require('./plexNotifications');
 const plexAuth = require('./plexAuth');
 const authStorage = require('./authStorage');
 const bulkFixer = require('./bulkFixer');
+const journal = require('./journal');
+const rollback = require('./rollback');
+const plan = require('./plan');
+const ruleResolver = require('./ruleResolver');
+const { isAudioTranscode } = require('./mediaHelpers');
+const { createEventQueue } = require('./eventQueue');
 const packageJson = require('./package.json');
 
 let config = null;
+// Webhook/websocket events, processed per player in order
+let eventQueue = null;
 
 function findTranscodes(sessions) {
-    return sessions.filter(session => session.TranscodeSession);
+    return sessions.filter(session => isAudioTranscode(session, config.accept_audio_copy));
 }
 
 function startPollingMode() {
@@ -23,8 +32,22 @@ function startPollingMode() {
             const sessions = await plexClient.fetchSessions();
             logger.debug(`Sessions: ${sessions.length}`);
 
+            for (const session of sessions) {
+                const playerUuid = session.Player?.uuid || session.Player?.machineIdentifier;
+                const processingInfo = audioFixer.getProcessingInfo(session.ratingKey, playerUuid);
+                if (!processingInfo) continue;
+                try {
+                    await audioFixer.handleRestartedSession(session, processingInfo, config);
+                } catch (error) {
+                    logger.error(`Validate: ${session.ratingKey} ${error.message}`);
+                    logger.debug(error.stack);
+                }
+            }
+
             const transcodeSessions = findTranscodes(sessions);
-            const newTranscodes = transcodeSessions.filter(s => !audioFixer.isProcessed(s.ratingKey));
+            const newTranscodes = transcodeSessions.filter(s =>
+                !audioFixer.isProcessed(s.ratingKey) && ruleResolver.isUserAllowed(s.User, config)
+            );
 
             if (newTranscodes.length > 0) {
                 for (const session of newTranscodes) {
@@ -41,6 +64,8 @@ function startPollingMode() {
             }
 
             audioFixer.cleanupProcessedMedia(sessions);
+            await audioFixer.processDeferredTerminations(sessions, config);
+            await audioFixer.restoreEndedSessions(sessions, config);
 
         } catch (error) {
             logger.error(`Polling: ${error.message}`);
@@ -57,16 +82,28 @@ function startWebhookMode() {
 
     logger.info(`Endpoint: http://${config.webhook.host}:${config.webhook.port}${config.webhook.path}`);
 
+    const queue = startEventQueue();
     const handleWebhook = async (payload) => {
-        await webhookProcessor.processWebhook(payload, config);
+        queue.push(payload);
     };
 
-    webhookServer.start(config, handleWebhook);
+    webhookServer.start(config, handleWebhook, () => ({ queue: queue.stats() }));
+    startCleanupInterval();
+}
 
+function startEventQueue() {
+    eventQueue = createEventQueue(config.event_queue, (payload) => webhookProcessor.processWebhook(payload, config));
+    return eventQueue;
+}
+
+function startCleanupInterval() {
     setInterval(async () => {
         try {
             const sessions = await plexClient.fetchSessions();
+            await audioFixer.validateInPlaceSwitches(sessions, config);
             audioFixer.cleanupProcessedMedia(sessions);
+            await audioFixer.processDeferredTerminations(sessions, config);
+            await audioFixer.restoreEndedSessions(sessions, config);
         } catch (error) {
             logger.error(`Cleanup: ${error.message}`);
             logger.debug(error.stack);
@@ -74,6 +111,16 @@ function startWebhookMode() {
     }, 60000);
 }
 
+function startWebSocketMode() {
+    const queue = startEventQueue();
+    const handleEvent = async (payload) => {
+        queue.push(payload);
+    };
+
+    plexNotifications.start(config, handleEvent);
+    startCleanupInterval();
+}
+
 async function ensureAuthenticated(config) {
     switch (config.auth_method) {
         case 'env':
@@ -139,6 +186,58 @@ async function authenticateWithPin() {
     return { token, clientId };
 }
 
+async function runRollbackCommand(argv) {
+    const { list, dryRun, filter } = rollback.parseRollbackArgs(argv);
+
+    if (list) {
+        const runs = rollback.summarizeRuns(journal.readEntries());
+        if (runs.length === 0) {
+            logger.info('Journal: no runs');
+        }
+        runs.forEach(run => logger.info(`${run.runId}: ${run.count} switches (${run.first} - ${run.last})`));
+        return;
+    }
+
+    if (dryRun) {
+        config.dry_run = true;
+    }
+    logger.info(`Dry run: ${config.dry_run ? 'yes' : 'no'}`);
+
+    const auth = await ensureAuthenticated(config);
+    plexClient.init(config, auth);
+    await rollback.rollback(config, filter);
+}
+
+async function runPlanCommand(argv) {
+    const { output } = plan.parsePlanArgs(argv);
+
+    const auth = await ensureAuthenticated(config);
+    plexClient.init(config, auth);
+    const changes = await bulkFixer.plan(config);
+    plan.writePlan(changes, output);
+}
+
+async function runApplyCommand(argv) {
+    const { planPath, dryRun } = plan.parseApplyArgs(argv);
+    const planDoc = plan.readPlan(planPath);
+
+    if (dryRun) {
+        config.dry_run = true;
+    }
+    logger.info(`Dry run: ${config.dry_run ? 'yes' : 'no'}`);
+
+    const auth = await ensureAuthenticated(config);
+    plexClient.init(config, auth);
+    await plan.applyPlan(config, planDoc);
+}
+
+// One-shot commands: node main.js <command> [options]
+const COMMANDS = {
+    rollback: runRollbackCommand,
+    plan: runPlanCommand,
+    apply: runApplyCommand
+};
+
 async function main() {
     try {
         config = loadConfig();
@@ -149,23 +248,37 @@ async function main() {
         }
 
         logger.info(`Audiochangerr v${packageJson.version}`);
+
+        const command = COMMANDS[process.argv[2]];
+        if (command) {
+            await command(process.argv.slice(3));
+            process.exit(0);
+        }
         logger.info(`Mode: ${config.mode}`);
         logger.info(`Dry run: ${config.dry_run ? 'yes' : 'no'}`);
 
         const auth = await ensureAuthenticated(config);
         plexClient.init(config, auth);
         audioFixer.setValidationTimeout(config.validation_timeout_seconds);
-
-        await bulkFixer.run(config);
+        audioFixer.loadProcessedMedia();
+        audioFixer.loadPendingRestores();
 
         if (config.mode === 'webhook') {
             startWebhookMode();
         } else if (config.mode === 'polling') {
             startPollingMode();
+        } else if (config.mode === 'websocket') {
+            startWebSocketMode();
         } else {
-            throw new Error(`Invalid mode: ${config.mode} (must be 'webhook' or 'polling')`);
+            throw new Error(`Invalid mode: ${config.mode} (must be 'webhook', 'polling' or 'websocket')`);
         }
 
+        // Live sessions are handled while the initial run scans; scheduled runs skip until it finished
+        bulkFixer.run(config).catch(error => {
+            logger.error(`Bulk: ${error.message}`);
+        });
+        bulkFixer.startSchedule(config);
+
     } catch (error) {
         logger.error(`Start: ${error.message}`);
         logger.debug(error.stack);
@@ -185,6 +298,8 @@ function gracefulShutdown(signal) {
     logger.info(`${signal} received - shutting down gracefully (${config.graceful_shutdown_seconds}s)`);
 
     webhookServer.stop();
+    plexNotifications.stop();
+    bulkFixer.stopSchedule();
 
     const shutdownTimeout = setTimeout(() => {
         logger.warn('Shutdown timeout - forcing exit');
@@ -194,14 +309,26 @@ function gracefulShutdown(signal) {
     // Allow the timeout to be cleared if we exit cleanly
     shutdownTimeout.unref();
 
-    // Give a moment for any final log writes
-    setTimeout(() => {
-        logger.info('Shutdown complete');
-        process.exit(0);
-    }, 100);
+    // Finish queued events, then give a moment for any final log writes
+    if (eventQueue) {
+        const { waiting, running } = eventQueue.stats();
+        if (waiting + running > 0) {
+            logger.info(`Finishing ${waiting + running} queued events`);
+        }
+    }
+    (eventQueue ? eventQueue.drain() : Promise.resolve()).then(() => {
+        setTimeout(() => {
+            logger.info('Shutdown complete');
+            process.exit(0);
+        }, 100);
+    });
 }
 
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+if (require.main === module) {
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+    main();
+}
 
-main();
+module.exports = { main };
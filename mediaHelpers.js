@@ -1,28 +1,139 @@
 const logger = require('./logger');
 
+// Plex marks the active Media/Part with selected=true when several are present
+function findSessionPart(session) {
+    const mediaList = session?.Media || [];
+    const media = mediaList.find(m => m.selected) || mediaList[0];
+    const parts = media?.Part || [];
+    return parts.find(p => p.selected) || parts[0] || null;
+}
+
+/**
+ * Returns the Part being played in a session.
+ */
+function getSessionPart(session) {
+    const part = findSessionPart(session);
+    if (!part) {
+        throw new Error(`Invalid session structure: missing Media/Part (session: ${session?.sessionKey || 'unknown'})`);
+    }
+    return part;
+}
+
 function getStreamsFromSession(session) {
-    if (!session?.Media?.[0]?.Part?.[0]?.Stream) {
+    const part = findSessionPart(session);
+    if (!part?.Stream) {
         throw new Error(`Invalid session structure: missing Media/Part/Stream (session: ${session?.sessionKey || 'unknown'})`);
     }
-    return session.Media[0].Part[0].Stream;
+    return part.Stream;
+}
+
+/**
+ * Lists every Media/Part of a metadata item (all versions, all files).
+ * @returns {Array<{media: Object, part: Object, mediaIndex: number, partIndex: number}>}
+ */
+function getAllParts(metadata) {
+    const parts = [];
+    (metadata?.Media || []).forEach((media, mediaIndex) => {
+        (media.Part || []).forEach((part, partIndex) => {
+            parts.push({ media, part, mediaIndex, partIndex });
+        });
+    });
+    return parts;
+}
+
+/**
+ * Finds a Part in metadata by part id, falling back to file path.
+ * @returns {Object|null} Part or null if not present
+ */
+function findPart(metadata, partId, file) {
+    const parts = getAllParts(metadata).map(entry => entry.part);
+    if (partId !== undefined && partId !== null) {
+        const byId = parts.find(p => String(p.id) === String(partId));
+        if (byId) return byId;
+    }
+    if (file) {
+        const byFile = parts.find(p => p.file === file);
+        if (byFile) return byFile;
+    }
+    return null;
 }
 
-function getStreamsFromMetadata(metadata) {
-    if (!metadata?.Media?.[0]?.Part?.[0]?.Stream) {
-        throw new Error(`Invalid metadata structure: missing Media/Part/Stream (ratingKey: ${metadata?.ratingKey || 'unknown'})`);
+/**
+ * Returns streams for a Part in metadata. Defaults to the first Part when partId is omitted.
+ */
+function getStreamsFromMetadata(metadata, partId) {
+    const part = partId !== undefined && partId !== null
+        ? findPart(metadata, partId)
+        : metadata?.Media?.[0]?.Part?.[0];
+
+    if (!part?.Stream) {
+        const partInfo = partId !== undefined && partId !== null ? `, part: ${partId}` : '';
+        throw new Error(`Invalid metadata structure: missing Media/Part/Stream (ratingKey: ${metadata?.ratingKey || 'unknown'}${partInfo})`);
     }
-    return metadata.Media[0].Part[0].Stream;
+    return part.Stream;
 }
 
 function getPartId(session) {
-    if (!session?.Media?.[0]?.Part?.[0]?.id) {
+    const part = findSessionPart(session);
+    if (!part?.id) {
         throw new Error(`Invalid session structure: missing Part id (session: ${session?.sessionKey || 'unknown'})`);
     }
-    return session.Media[0].Part[0].id;
+    return part.id;
+}
+
+/**
+ * Check a stream change (plan or journal) against the part's current streams
+ * @returns {string|null} Reason to skip, or null if the change still applies
+ */
+function checkChange(change, part) {
+    if (!part?.Stream) {
+        return 'part not found';
+    }
+    const current = part.Stream.find(s => s.streamType === 2 && s.selected);
+    if (String(current?.id ?? null) !== String(change.oldStream?.id ?? null)) {
+        return `selection changed since (now ${current?.id ?? 'none'})`;
+    }
+    if (!part.Stream.some(s => s.streamType === 2 && String(s.id) === String(change.newStream.id))) {
+        return `stream ${change.newStream.id} no longer exists`;
+    }
+    return null;
+}
+
+/**
+ * Decides whether a session is transcoding its audio (not just video or subtitles).
+ * Uses TranscodeSession.audioDecision when present, otherwise compares source and
+ * output audio codecs. Sessions without decision info are treated as audio transcodes.
+ * @param {Object} session - Plex session
+ * @param {boolean} acceptAudioCopy - Treat "copy" (direct stream) audio as fine
+ * @returns {boolean}
+ */
+function isAudioTranscode(session, acceptAudioCopy = true) {
+    const transcode = session?.TranscodeSession;
+    if (!transcode) return false;
+
+    const decision = transcode.audioDecision ? String(transcode.audioDecision).toLowerCase() : null;
+    if (decision === 'transcode') return true;
+    if (decision === 'copy') return !acceptAudioCopy;
+    if (decision === 'directplay' || decision === 'direct play') return false;
+
+    if (transcode.sourceAudioCodec && transcode.audioCodec) {
+        const source = String(transcode.sourceAudioCodec).toLowerCase();
+        const output = String(transcode.audioCodec).toLowerCase();
+        if (source !== output) return true;
+        return !acceptAudioCopy;
+    }
+
+    logger.debug(`No audio decision (video=${transcode.videoDecision}) - treating as audio transcode`);
+    return true;
 }
 
 module.exports = {
+    getSessionPart,
     getStreamsFromSession,
     getStreamsFromMetadata,
-    getPartId
+    getAllParts,
+    findPart,
+    checkChange,
+    getPartId,
+    isAudioTranscode
 };
@@ -0,0 +1,188 @@
+/**
+ * Plan / Apply
+ * Writes the changes a bulk run would make to a reviewable plan (JSON + CSV),
+ * then applies exactly that plan later
+ * Usage: node main.js plan [--output <path without extension>]
+ *        node main.js apply [--plan <plan.json>] [--dry-run]
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const logger = require('./logger');
+const plexClient = require('./plexClient');
+const stateStore = require('./stateStore');
+const journal = require('./journal');
+const { findPart, checkChange } = require('./mediaHelpers');
+const { findManagedUser } = require('./ruleResolver');
+
+const DEFAULT_PLAN_NAME = 'bulk_plan';
+
+const CSV_COLUMNS = [
+    ['ratingKey', c => c.ratingKey],
+    ['title', c => c.title],
+    ['partId', c => c.partId],
+    ['user', c => c.user?.title],
+    ['oldStreamId', c => c.oldStream?.id],
+    ['oldCodec', c => c.oldStream?.codec],
+    ['oldChannels', c => c.oldStream?.channels],
+    ['oldLanguage', c => c.oldStream?.language],
+    ['newStreamId', c => c.newStream.id],
+    ['newCodec', c => c.newStream.codec],
+    ['newChannels', c => c.newStream.channels],
+    ['newLanguage', c => c.newStream.language],
+    ['rule', c => c.rule]
+];
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render plan changes as CSV (header + one row per change)
+ * @param {Object[]} changes - Plan changes
+ * @returns {string}
+ */
+function toCsv(changes) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    for (const change of changes) {
+        lines.push(CSV_COLUMNS.map(([, get]) => csvValue(get(change))).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse plan command arguments
+ * @param {string[]} argv - Arguments after "plan"
+ * @returns {{output: string}} Output path without extension
+ */
+function parsePlanArgs(argv) {
+    const { values } = parseArgs({ args: argv, options: { output: { type: 'string' } } });
+    return { output: (values.output || stateStore.getPath(DEFAULT_PLAN_NAME)).replace(/\.(json|csv)$/i, '') };
+}
+
+/**
+ * Parse apply command arguments
+ * @param {string[]} argv - Arguments after "apply"
+ * @returns {{planPath: string, dryRun: boolean}}
+ */
+function parseApplyArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            plan: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+    return { planPath: values.plan || stateStore.getPath(`${DEFAULT_PLAN_NAME}.json`), dryRun: values['dry-run'] };
+}
+
+/**
+ * Write a plan as <output>.json and <output>.csv
+ * @param {Object[]} changes - Plan changes from bulkFixer.plan
+ * @param {string} output - Path without extension
+ * @returns {{jsonPath: string, csvPath: string}}
+ */
+function writePlan(changes, output) {
+    const jsonPath = `${output}.json`;
+    const csvPath = `${output}.csv`;
+    const planDoc = { createdAt: new Date().toISOString(), changes };
+
+    fs.writeFileSync(jsonPath, JSON.stringify(planDoc, null, 2));
+    fs.writeFileSync(csvPath, toCsv(changes));
+    logger.info(`Plan: ${changes.length} changes -> ${jsonPath}, ${csvPath}`);
+    return { jsonPath, csvPath };
+}
+
+/**
+ * Read a plan written by writePlan
+ * @param {string} planPath - Path to the JSON plan
+ * @returns {{createdAt: string, changes: Object[]}}
+ */
+function readPlan(planPath) {
+    if (!fs.existsSync(planPath)) {
+        throw new Error(`Plan not found: ${planPath} - run "plan" first`);
+    }
+    const planDoc = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+    if (!Array.isArray(planDoc.changes)) {
+        throw new Error(`Invalid plan: ${planPath} has no changes array`);
+    }
+    return planDoc;
+}
+
+/**
+ * Apply a saved plan. Each change is re-checked with that user's current selection
+ * and skipped if the item changed since the plan was made.
+ * @param {Object} config - Loaded config (dry_run honored)
+ * @param {{changes: Object[]}} planDoc - Plan from readPlan
+ * @returns {Promise<{runId: string, applied: number, skipped: number, failed: number}>}
+ */
+async function applyPlan(config, planDoc) {
+    const managedUsers = await plexClient.fetchManagedUsers();
+    const runId = journal.createRunId('apply');
+    let applied = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    logger.info(`Apply: ${planDoc.changes.length} changes from plan ${planDoc.createdAt} (run ${runId})`);
+
+    for (const change of planDoc.changes) {
+        const label = `${change.title || change.ratingKey} (part ${change.partId}) for ${change.user?.title}`;
+
+        // Owner uses the default token (null)
+        let userToken = null;
+        if (change.user?.title !== config.owner_username) {
+            const managed = findManagedUser(change.user, managedUsers);
+            if (!managed) {
+                logger.warn(`Apply: no token for ${change.user?.title} - skipped ${label}`);
+                skipped++;
+                continue;
+            }
+            userToken = managed.token;
+        }
+
+        try {
+            const metadata = await plexClient.fetchMetadata(change.ratingKey, userToken);
+            const reason = checkChange(change, findPart(metadata, change.partId));
+            if (reason) {
+                logger.info(`Apply: skipped ${label}: ${reason}`);
+                skipped++;
+                continue;
+            }
+
+            await plexClient.setSelectedAudioStream(change.partId, change.newStream.id, userToken, config.dry_run);
+        } catch (error) {
+            logger.error(`Apply: ${label}: ${error.message}`);
+            failed++;
+            continue;
+        }
+
+        if (!config.dry_run) {
+            journal.record({
+                source: 'apply',
+                runId: runId,
+                ratingKey: change.ratingKey,
+                title: change.title,
+                partId: change.partId,
+                user: change.user,
+                oldStreamId: change.oldStream?.id ?? null,
+                newStreamId: change.newStream.id,
+                rule: change.rule
+            });
+        }
+        applied++;
+    }
+
+    logger.info(`Apply complete: ${applied} applied, ${skipped} skipped, ${failed} failed`);
+    return { runId, applied, skipped, failed };
+}
+
+module.exports = {
+    parsePlanArgs,
+    parseApplyArgs,
+    toCsv,
+    writePlan,
+    readPlan,
+    applyPlan
+};
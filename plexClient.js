@@ -9,6 +9,8 @@ const plexHeaders = require('./plexHeaders');
 let plexApi;
 let clientId;
 let ownerToken; // Module-level variable to store the token
+let playerCommandId = 0; // Companion commands must carry an increasing commandID
+const LIBRARY_PAGE_SIZE = 500;
 
 // Keep-Alive Agents
 const httpAgent = new http.Agent({ keepAlive: true });
@@ -64,11 +66,14 @@ async function fetchSessions() {
     );
 }
 
-async function fetchMetadata(ratingKey) {
+async function fetchMetadata(ratingKey, userToken) {
+    // Audio selection is per user; a user token returns that user's selected streams
+    const headers = userToken ? { 'X-Plex-Token': userToken } : {};
+
     return retryWithBackoff(
         async () => {
             try {
-                const response = await plexApi.get(`/library/metadata/${ratingKey}`);
+                const response = await plexApi.get(`/library/metadata/${ratingKey}`, { headers });
                 const metadata = response.data.MediaContainer.Metadata[0];
                 if (!metadata) throw new Error(`No metadata found for ratingKey ${ratingKey}`);
                 return metadata;
@@ -86,6 +91,31 @@ async function fetchMetadata(ratingKey) {
     );
 }
 
+/**
+ * Fetch the episodes of a show or season
+ * @param {string} ratingKey - Show or season rating key
+ * @returns {Promise<Object[]>} Episode metadata (without streams)
+ */
+async function fetchLeaves(ratingKey) {
+    return retryWithBackoff(
+        async () => {
+            try {
+                const response = await plexApi.get(`/library/metadata/${ratingKey}/allLeaves`);
+                return response.data.MediaContainer.Metadata || [];
+            } catch (error) {
+                if (error.response) {
+                    logger.error(`Leaves ${ratingKey}: ${error.response.status}`);
+                    throw new Error(`Plex leaves: ${error.response.status}`);
+                } else {
+                    logger.error(`Leaves ${ratingKey}: ${error.message}`);
+                    throw error;
+                }
+            }
+        },
+        3, 1000, `fetchLeaves(${ratingKey})`
+    );
+}
+
 async function setSelectedAudioStream(partId, streamId, userToken, dry_run) {
     const tokenStatus = userToken ? 'user' : 'owner';
 
@@ -130,21 +160,70 @@ async function terminateSession(sessionId, reason) {
     }
 }
 
+async function fetchClients() {
+    return retryWithBackoff(
+        async () => {
+            try {
+                const response = await plexApi.get('/clients');
+                return response.data.MediaContainer.Server || [];
+            } catch (error) {
+                if (error.response) {
+                    logger.error(`Clients: ${error.response.status}`);
+                    throw new Error(`Plex clients: ${error.response.status}`);
+                } else {
+                    logger.error(`Clients: ${error.message}`);
+                    throw error;
+                }
+            }
+        },
+        3, 1000, 'fetchClients'
+    );
+}
+
+// Relayed to the player by the server (Plex Companion), no direct connection to the client needed
+async function setPlayerAudioStream(machineIdentifier, streamId, dry_run) {
+    if (dry_run) {
+        logger.info(`[DRY] Set player audio: player=${machineIdentifier} stream=${streamId}`);
+        return;
+    }
+
+    playerCommandId++;
+    try {
+        await plexApi.get('/player/playback/setStreams', {
+            params: { type: 'video', audioStreamID: streamId, commandID: playerCommandId },
+            headers: { 'X-Plex-Target-Client-Identifier': machineIdentifier }
+        });
+        logger.debug(`Set player audio: player=${machineIdentifier} stream=${streamId}`);
+    } catch (error) {
+        logger.error(`Set player audio: ${error.message}`);
+        throw error;
+    }
+}
+
 async function getUserDetailsFromXml(xml) {
     const parser = new xml2js.Parser();
     try {
         const result = await parser.parseStringPromise(xml);
         const sharedServers = result.MediaContainer.SharedServer || [];
-        const extractedData = {};
+        const users = [];
         sharedServers.forEach((server) => {
             const userID = server.$.userID;
             const accessToken = server.$.accessToken;
-            if (userID && accessToken) extractedData[userID] = accessToken;
+            if (!userID || !accessToken) return;
+            users.push({
+                id: userID,
+                title: server.$.username || server.$.email || userID,
+                token: accessToken,
+                allLibraries: server.$.allLibraries === '1',
+                sections: (server.Section || [])
+                    .filter(section => section.$.shared === '1')
+                    .map(section => section.$.title)
+            });
         });
-        return extractedData;
+        return users;
     } catch (error) {
         logger.error(`XML: ${error.message}`);
-        return {};
+        return [];
     }
 }
 
@@ -168,34 +247,153 @@ async function fetchLibraries() {
     );
 }
 
-async function fetchLibraryItems(sectionId, itemType) {
+/**
+ * Fetch the tags of a library usable as filters, e.g. its collections, labels or genres
+ * @param {string} sectionId - Library section key
+ * @param {string} tag - "collection", "label" or "genre"
+ * @returns {Promise<Array<{id: string, title: string}>>}
+ */
+async function fetchLibraryTags(sectionId, tag) {
     return retryWithBackoff(
         async () => {
             try {
-                // Fetch items, optionally filtering by type (e.g. 4=Episode)
+                const response = await plexApi.get(`/library/sections/${sectionId}/${tag}`);
+                const directories = response.data.MediaContainer.Directory || [];
+                return directories.map(dir => ({ id: String(dir.key), title: dir.title }));
+            } catch (error) {
+                if (error.response) {
+                    logger.error(`Fetch Tags (${sectionId}/${tag}): ${error.response.status}`);
+                    throw new Error(`Plex Library Tags: ${error.response.status}`);
+                } else {
+                    logger.error(`Fetch Tags (${sectionId}/${tag}): ${error.message}`);
+                    throw error;
+                }
+            }
+        },
+        3, 1000, `fetchLibraryTags(${sectionId}, ${tag})`
+    );
+}
+
+async function fetchLibraryPage(sectionId, itemType, start, pageSize, sort, filters) {
+    return retryWithBackoff(
+        async () => {
+            try {
+                // Fetch items, optionally filtering by type (e.g. 4=Episode) and Plex filters
                 const url = `/library/sections/${sectionId}/all`;
-                const params = itemType ? { type: itemType } : {};
+                const params = {
+                    ...filters,
+                    'X-Plex-Container-Start': start,
+                    'X-Plex-Container-Size': pageSize
+                };
+                if (itemType) params.type = itemType;
+                if (sort) params.sort = sort;
 
                 const response = await plexApi.get(url, { params });
-                return response.data.MediaContainer.Metadata || [];
+                const container = response.data.MediaContainer;
+                return { items: container.Metadata || [], totalSize: container.totalSize };
             } catch (error) {
                 if (error.response) {
-                    logger.error(`Fetch Items (${sectionId}): ${error.response.status}`);
+                    logger.error(`Fetch Items (${sectionId}@${start}): ${error.response.status}`);
                     throw new Error(`Plex Library Items: ${error.response.status}`);
                 } else {
-                    logger.error(`Fetch Items (${sectionId}): ${error.message}`);
+                    logger.error(`Fetch Items (${sectionId}@${start}): ${error.message}`);
                     throw error;
                 }
             }
         },
-        3, 1000, `fetchLibraryItems(${sectionId})`
+        3, 1000, `fetchLibraryPage(${sectionId}, ${start})`
     );
 }
 
-async function fetchManagedUserTokens() {
+/**
+ * Fetch the most recent updatedAt of a section, and its size.
+ * @param {string} sectionId - Library section key
+ * @param {number} [itemType] - Plex type filter (e.g. 4=Episode)
+ * @param {Object} [filters] - Plex filter query params
+ * @returns {Promise<{updatedAt: number, totalSize: number}>} updatedAt 0 for an empty section
+ */
+async function fetchLatestUpdate(sectionId, itemType, filters) {
+    const { items, totalSize } = await fetchLibraryPage(sectionId, itemType, 0, 1, 'updatedAt:desc', filters);
+    return { updatedAt: items[0]?.updatedAt || 0, totalSize: totalSize ?? items.length };
+}
+
+/**
+ * Iterate library items page by page (X-Plex-Container-Start/Size).
+ * The next page is requested while the current one is consumed.
+ * With updatedAfter, items are returned oldest first and each page continues after the last
+ * updatedAt seen instead of at an offset: an item updated meanwhile moves out of the pages
+ * already read without shifting unseen items into them.
+ * @param {string} sectionId - Library section key
+ * @param {number} [itemType] - Plex type filter (e.g. 4=Episode)
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=500] - Items per request
+ * @param {string} [options.sort] - Plex sort, e.g. "addedAt" (ascending); ignored with updatedAfter
+ * @param {Object} [options.filters] - Plex filter query params, e.g. {"label!": "12"}
+ * @param {number} [options.updatedAfter] - Only items updated after this time (epoch seconds)
+ * @param {number} [options.updatedUntil] - Only items updated at or before this time, with updatedAfter
+ * @param {function(): Promise<void>} [options.throttle] - Awaited before each page request
+ * @param {function(number)} [options.onTotalSize] - Called with the number of items reported by Plex
+ * @returns {AsyncGenerator<Object>} Metadata items
+ */
+async function* iterateLibraryItems(sectionId, itemType, {
+    pageSize = LIBRARY_PAGE_SIZE, sort, filters, updatedAfter, updatedUntil, throttle, onTotalSize
+} = {}) {
+    const keyset = updatedAfter !== undefined;
+    const requestPage = async (start, from) => {
+        if (throttle) await throttle();
+        if (!keyset) return fetchLibraryPage(sectionId, itemType, start, pageSize, sort, filters);
+
+        // updatedAt >= from (Plex filters are exclusive)
+        const range = { 'updatedAt>>': from - 1 };
+        if (updatedUntil !== undefined) range['updatedAt<<'] = updatedUntil + 1;
+        return fetchLibraryPage(sectionId, itemType, start, pageSize, 'updatedAt', { ...filters, ...range });
+    };
+
+    // Keyset: start counts the items of the last updatedAt seen, which the next page skips
+    let from = keyset ? updatedAfter + 1 : undefined;
+    let start = 0;
+    let firstPage = true;
+    let nextPage = requestPage(start, from);
+
+    while (nextPage) {
+        const { items, totalSize } = await nextPage;
+        if (firstPage && totalSize !== undefined && onTotalSize) onTotalSize(totalSize);
+        firstPage = false;
+
+        const hasMore = totalSize !== undefined ? start + items.length < totalSize : items.length === pageSize;
+        if (keyset) {
+            for (const item of items) {
+                const updatedAt = item.updatedAt || 0;
+                if (updatedAt === from) {
+                    start++;
+                } else {
+                    from = updatedAt;
+                    start = 1;
+                }
+            }
+        } else {
+            start += items.length;
+        }
+
+        nextPage = items.length > 0 && hasMore
+            ? requestPage(start, from)
+            : null;
+        // Errors surface when the page is awaited; avoid unhandled rejection if iteration stops early
+        nextPage?.catch(() => {});
+
+        yield* items;
+    }
+}
+
+/**
+ * Fetch managed and shared users of this server from plex.tv
+ * @returns {Promise<Array<{id: string, title: string, token: string, allLibraries: boolean, sections: string[]}>>}
+ *   sections = titles of shared libraries (ignored when allLibraries is true)
+ */
+async function fetchManagedUsers() {
     try {
         // VERBOSE DEBUG
-        logger.debug(`[DEBUG-V] fetchManagedUserTokens: Using owner token: ${ownerToken ? 'Yes' : 'NO'}`);
+        logger.debug(`[DEBUG-V] fetchManagedUsers: Using owner token: ${ownerToken ? 'Yes' : 'NO'}`);
 
         const plexTvApi = createPlexClient('https://plex.tv', ownerToken, clientId, 'application/xml');
         const resourcesResponse = await plexTvApi.get('/api/resources');
@@ -208,22 +406,31 @@ async function fetchManagedUserTokens() {
 
         if (!server || !server.$.clientIdentifier) {
             logger.error('No clientIdentifier - check Plex.tv access and server registration');
-            return {};
+            return [];
         }
         const clientIdentifier = server.$.clientIdentifier;
 
         const sharedServersResponse = await plexTvApi.get(`/api/servers/${clientIdentifier}/shared_servers`);
-        const managedUserTokens = await getUserDetailsFromXml(sharedServersResponse.data);
+        const users = await getUserDetailsFromXml(sharedServersResponse.data);
 
-        logger.info(`Managed users: ${Object.keys(managedUserTokens).length}`);
-        return managedUserTokens;
+        logger.info(`Managed users: ${users.length}`);
+        return users;
 
     } catch (error) {
         logger.error(`Managed tokens error: ${error.message}`);
-        return {};
+        return [];
     }
 }
 
+async function fetchManagedUserTokens() {
+    const users = await fetchManagedUsers();
+    const managedUserTokens = {};
+    users.forEach(user => {
+        managedUserTokens[user.id] = user.token;
+    });
+    return managedUserTokens;
+}
+
 function getOwnerToken() {
     // VERBOSE DEBUG
     if (!ownerToken) {
@@ -244,11 +451,17 @@ module.exports = {
     init,
     fetchSessions,
     fetchMetadata,
+    fetchLeaves,
     setSelectedAudioStream,
     terminateTranscode,
     terminateSession,
+    fetchClients,
+    setPlayerAudioStream,
+    fetchManagedUsers,
     fetchManagedUserTokens,
     getOwnerToken,
     fetchLibraries,
-    fetchLibraryItems,
+    fetchLibraryTags,
+    fetchLatestUpdate,
+    iterateLibraryItems,
 };
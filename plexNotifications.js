@@ -0,0 +1,166 @@
+/**
+ * Plex Notifications
+ * Subscribes to the Plex server WebSocket (/:/websockets/notifications)
+ * and turns PlaySessionStateNotification events into webhook-style payloads
+ */
+
+const WebSocket = require('ws');
+const logger = require('./logger');
+const plexClient = require('./plexClient');
+
+let socket = null;
+let reconnectTimer = null;
+let reconnectDelayMs = 0;
+let stopped = true;
+
+// sessionKey -> last seen state, so repeated "playing" heartbeats only fire once
+const sessionStates = new Map();
+
+/**
+ * Build the notifications URL from the Plex server URL
+ * @param {string} serverUrl - e.g. http://192.168.1.100:32400
+ * @returns {string} ws:// or wss:// URL
+ */
+function buildNotificationsUrl(serverUrl) {
+    const base = serverUrl.replace(/\/+$/, '').replace(/^http/i, 'ws');
+    return `${base}/:/websockets/notifications`;
+}
+
+/**
+ * Extract play/resume/pause/stop events from a notification message
+ * A session's first "playing" is media.play, "playing" after "paused" media.resume; "stopped" forgets the session.
+ * "buffering" is not tracked, so playback continuing after it produces no event
+ * @param {Object} message - Parsed NotificationContainer message
+ * @param {Map} states - sessionKey -> last state (mutated)
+ * @returns {Object[]} Webhook-style payloads for webhookProcessor.processWebhook
+ */
+function extractPlayEvents(message, states) {
+    const container = message?.NotificationContainer;
+    if (!container || container.type !== 'playing') {
+        return [];
+    }
+
+    const events = [];
+    for (const notification of container.PlaySessionStateNotification || []) {
+        const sessionKey = String(notification.sessionKey);
+        const previous = states.get(sessionKey);
+        const state = notification.state;
+
+        const payload = (event) => ({
+            event: event,
+            Account: { title: 'unknown' },
+            Player: { uuid: notification.clientIdentifier },
+            Metadata: { ratingKey: String(notification.ratingKey) },
+            _source: 'websocket'
+        });
+
+        if (state === 'stopped') {
+            if (states.delete(sessionKey)) {
+                events.push(payload('media.stop'));
+            }
+            continue;
+        }
+        if (state === 'buffering') {
+            continue;
+        }
+        states.set(sessionKey, state);
+
+        if (state === 'paused' && previous !== 'paused') {
+            events.push(payload('media.pause'));
+            continue;
+        }
+
+        if (state !== 'playing' || previous === 'playing') {
+            continue;
+        }
+
+        events.push(payload(previous === 'paused' ? 'media.resume' : 'media.play'));
+    }
+    return events;
+}
+
+function scheduleReconnect(config, onEvent) {
+    if (stopped) return;
+
+    const initialDelay = config.websocket.reconnect_initial_delay_ms;
+    const maxDelay = config.websocket.reconnect_max_delay_ms;
+    reconnectDelayMs = reconnectDelayMs === 0 ? initialDelay : Math.min(reconnectDelayMs * 2, maxDelay);
+
+    logger.warn(`WebSocket: reconnect in ${reconnectDelayMs}ms`);
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect(config, onEvent);
+    }, reconnectDelayMs);
+}
+
+function connect(config, onEvent) {
+    const url = buildNotificationsUrl(config.plex_server_url);
+    logger.debug(`WebSocket: connecting ${url}`);
+
+    const token = encodeURIComponent(plexClient.getOwnerToken());
+    socket = new WebSocket(`${url}?X-Plex-Token=${token}`);
+
+    socket.on('open', () => {
+        reconnectDelayMs = 0;
+        logger.info(`WebSocket: connected ${url}`);
+    });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            logger.debug(`WebSocket: unparseable message: ${error.message}`);
+            return;
+        }
+
+        for (const payload of extractPlayEvents(message, sessionStates)) {
+            logger.debug(`WebSocket: ${payload.event} key=${payload.Metadata.ratingKey} player=${payload.Player.uuid}`);
+            onEvent(payload).catch(error => {
+                logger.error(`Process: ${error.message}`);
+            });
+        }
+    });
+
+    socket.on('error', (error) => {
+        logger.error(`WebSocket: ${error.message} - check plex_server_url and token`);
+    });
+
+    socket.on('close', (code) => {
+        socket = null;
+        if (stopped) return;
+        logger.warn(`WebSocket: closed (${code})`);
+        sessionStates.clear();
+        scheduleReconnect(config, onEvent);
+    });
+}
+
+function start(config, onEvent) {
+    if (!stopped) {
+        logger.warn('Already running');
+        return;
+    }
+    stopped = false;
+    reconnectDelayMs = 0;
+    connect(config, onEvent);
+}
+
+function stop() {
+    stopped = true;
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+    if (socket) {
+        socket.close();
+        socket = null;
+    }
+    sessionStates.clear();
+}
+
+module.exports = {
+    start,
+    stop,
+    buildNotificationsUrl,
+    extractPlayEvents
+};
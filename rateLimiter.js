@@ -0,0 +1,25 @@
+/**
+ * Spaces calls evenly to at most `perSecond` per second.
+ * Each call to the returned function resolves when the caller may make its request.
+ * @param {number} perSecond - Max requests per second, 0 = unlimited
+ * @returns {function(): Promise<void>}
+ */
+function createRateLimiter(perSecond) {
+    if (!perSecond) {
+        return async () => {};
+    }
+
+    const intervalMs = 1000 / perSecond;
+    let nextSlot = 0;
+
+    return async () => {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + intervalMs;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
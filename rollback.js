@@ -0,0 +1,189 @@
+/**
+ * Rollback
+ * Restores the audio selection that was active before journaled switches
+ * Usage: node main.js rollback --run <id> | --since <date> [--until <date>] | --item <ratingKey> [--dry-run]
+ *        node main.js rollback --list
+ */
+
+const { parseArgs } = require('util');
+const logger = require('./logger');
+const plexClient = require('./plexClient');
+const journal = require('./journal');
+const { findPart, checkChange } = require('./mediaHelpers');
+const { findManagedUser } = require('./ruleResolver');
+
+function parseDate(value, flag) {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${flag} must be a date, e.g. 2024-01-31 or 2024-01-31T18:00:00Z (got: ${value})`);
+    }
+    return date;
+}
+
+/**
+ * Parse rollback command arguments
+ * @param {string[]} argv - Arguments after "rollback"
+ * @returns {{list: boolean, dryRun: boolean, filter: Object}}
+ */
+function parseRollbackArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            run: { type: 'string' },
+            since: { type: 'string' },
+            until: { type: 'string' },
+            item: { type: 'string' },
+            list: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+
+    const filter = {
+        run: values.run,
+        since: parseDate(values.since, '--since'),
+        until: parseDate(values.until, '--until'),
+        item: values.item
+    };
+
+    if (!values.list && Object.values(filter).every(v => v === undefined)) {
+        throw new Error('rollback needs --run, --since/--until or --item (use --list to show runs)');
+    }
+
+    return { list: values.list, dryRun: values['dry-run'], filter };
+}
+
+/**
+ * Group journal entries into runs
+ * @param {Object[]} entries - Journal entries in write order
+ * @returns {Array<{runId: string, source: string, count: number, first: string, last: string}>}
+ */
+function summarizeRuns(entries) {
+    const runs = new Map();
+    for (const entry of entries) {
+        if (!entry.runId) continue;
+        const run = runs.get(entry.runId);
+        if (run) {
+            run.count++;
+            run.last = entry.timestamp;
+        } else {
+            runs.set(entry.runId, { runId: entry.runId, source: entry.source, count: 1, first: entry.timestamp, last: entry.timestamp });
+        }
+    }
+    return [...runs.values()];
+}
+
+/**
+ * Work out which selections to restore
+ * For every part and user touched by the entries, the stream selected before the first of them.
+ * Parts without a known prior selection, or already back on it, are left alone.
+ * @param {Object[]} entries - Selected journal entries in write order
+ * @returns {Array<{ratingKey, title, partId, user, fromStreamId, toStreamId}>}
+ */
+function planRollback(entries) {
+    const targets = new Map();
+    for (const entry of entries) {
+        // Users are keyed by name: the owner has an id in sessions but not in bulk runs
+        const key = `${entry.partId}:${entry.user?.title}`;
+        const target = targets.get(key);
+        if (target) {
+            target.fromStreamId = entry.newStreamId;
+        } else {
+            targets.set(key, {
+                ratingKey: entry.ratingKey,
+                title: entry.title,
+                partId: entry.partId,
+                user: entry.user,
+                fromStreamId: entry.newStreamId,
+                toStreamId: entry.oldStreamId
+            });
+        }
+    }
+
+    return [...targets.values()].filter(target =>
+        target.toStreamId !== null &&
+        target.toStreamId !== undefined &&
+        String(target.toStreamId) !== String(target.fromStreamId)
+    );
+}
+
+/**
+ * Roll back journaled switches
+ * Selections changed since the switch (by the user or a later run) are skipped, not overwritten.
+ * @param {Object} config - Loaded config (dry_run honored)
+ * @param {Object} filter - See journal.selectEntries
+ * @returns {Promise<{runId: string|null, restored: number, skipped: number, failed: number}>}
+ */
+async function rollback(config, filter) {
+    const entries = journal.selectEntries(journal.readEntries(), filter);
+    const targets = planRollback(entries);
+    logger.info(`Rollback: ${entries.length} switches, ${targets.length} selections to restore`);
+
+    if (targets.length === 0) {
+        return { runId: null, restored: 0, skipped: 0, failed: 0 };
+    }
+
+    const managedUsers = await plexClient.fetchManagedUsers();
+    const runId = journal.createRunId('rollback');
+    let restored = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const target of targets) {
+        const label = `${target.title || target.ratingKey} (part ${target.partId}) for ${target.user?.title}`;
+
+        // Owner uses the default token (null)
+        let userToken = null;
+        if (target.user?.title !== config.owner_username) {
+            const managed = findManagedUser(target.user, managedUsers);
+            if (!managed) {
+                logger.warn(`Rollback: no token for ${target.user?.title} - skipped ${label}`);
+                failed++;
+                continue;
+            }
+            userToken = managed.token;
+        }
+
+        try {
+            const metadata = await plexClient.fetchMetadata(target.ratingKey, userToken);
+            const change = { oldStream: { id: target.fromStreamId }, newStream: { id: target.toStreamId } };
+            const reason = checkChange(change, findPart(metadata, target.partId));
+            if (reason) {
+                logger.info(`Rollback: skipped ${label}: ${reason}`);
+                skipped++;
+                continue;
+            }
+
+            await plexClient.setSelectedAudioStream(target.partId, target.toStreamId, userToken, config.dry_run);
+        } catch (error) {
+            logger.error(`Rollback: ${label}: ${error.message}`);
+            failed++;
+            continue;
+        }
+
+        if (!config.dry_run) {
+            journal.record({
+                source: 'rollback',
+                runId: runId,
+                ratingKey: target.ratingKey,
+                title: target.title,
+                partId: target.partId,
+                user: target.user,
+                oldStreamId: target.fromStreamId,
+                newStreamId: target.toStreamId
+            });
+        }
+        logger.info(`Rollback: ${label}: ${target.fromStreamId} -> ${target.toStreamId}`);
+        restored++;
+    }
+
+    logger.info(`Rollback complete: ${restored} restored, ${skipped} skipped, ${failed} failed (run ${runId})`);
+    return { runId, restored, skipped, failed };
+}
+
+module.exports = {
+    parseRollbackArgs,
+    summarizeRuns,
+    planRollback,
+    rollback
+};
@@ -0,0 +1,140 @@
+/**
+ * Rule Resolver
+ * Picks the audio_selector rule list that applies to a session
+ */
+
+const logger = require('./logger');
+
+const PROFILE_MATCH_FIELDS = ['product', 'platform', 'device', 'machineIdentifier'];
+
+/**
+ * Checks whether a player satisfies every field of a profile's match block
+ * @param {Object} player - session.Player
+ * @param {Object} match - Profile match criteria (case-insensitive)
+ * @returns {boolean}
+ */
+function matchesProfile(player, match) {
+    return PROFILE_MATCH_FIELDS.every(field => {
+        if (match[field] === undefined) return true;
+        const value = player[field];
+        if (value === undefined || value === null) return false;
+        return String(value).toLowerCase() === String(match[field]).toLowerCase();
+    });
+}
+
+/**
+ * Find the first device profile matching the session's player
+ * @param {Object} session - Plex session
+ * @param {Object} config - Loaded config
+ * @returns {Object|null} Matching profile or null
+ */
+function findDeviceProfile(session, config) {
+    const profiles = config.device_profiles || [];
+    const player = session.Player || {};
+
+    const profile = profiles.find(p => matchesProfile(player, p.match));
+    if (profile) {
+        logger.debug(`Profile: ${profile.name} (${player.product}/${player.platform}/${player.device})`);
+        return profile;
+    }
+    return null;
+}
+
+/**
+ * Checks whether a session user matches a configured user reference
+ * @param {Object} user - session.User ({id, title})
+ * @param {string|number} ref - Plex username (case-sensitive) or user id
+ * @returns {boolean}
+ */
+function matchesUser(user, ref) {
+    if (!user) return false;
+    const value = String(ref);
+    return value === String(user.title) || (user.id !== undefined && value === String(user.id));
+}
+
+/**
+ * Apply users.include / users.exclude to a session user
+ * Exclude wins over include. Empty include = everyone.
+ * @param {Object} user - session.User ({id, title})
+ * @param {Object} config - Loaded config
+ * @returns {boolean} True if the user should be processed
+ */
+function isUserAllowed(user, config) {
+    const include = config.users?.include || [];
+    const exclude = config.users?.exclude || [];
+
+    if (exclude.some(ref => matchesUser(user, ref))) {
+        logger.debug(`User excluded: ${user?.title}`);
+        return false;
+    }
+    if (include.length > 0 && !include.some(ref => matchesUser(user, ref))) {
+        logger.debug(`User not included: ${user?.title}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Find the per-user rule override for a session user
+ * @param {Object} user - session.User ({id, title})
+ * @param {Object} config - Loaded config
+ * @returns {Object|null} Matching override or null
+ */
+function findUserOverride(user, config) {
+    const overrides = config.users?.overrides || [];
+    return overrides.find(o => matchesUser(user, o.user)) || null;
+}
+
+/**
+ * Find a managed or shared user recorded in a journal entry or plan
+ * @param {Object} user - Recorded user ({id, title})
+ * @param {Object[]} managedUsers - From plexClient.fetchManagedUsers
+ * @returns {Object|null} Managed user (with token) or null
+ */
+function findManagedUser(user, managedUsers) {
+    if (!user) return null;
+    return managedUsers.find(u => String(u.id) === String(user.id) || u.title === user.title) || null;
+}
+
+/**
+ * Resolve audio_selector rules for a session
+ * Precedence: user override, then device profile, then global audio_selector
+ * @param {Object} session - Plex session
+ * @param {Object} config - Loaded config
+ * @returns {{rules: Object[], source: string}}
+ */
+function resolveRules(session, config) {
+    const override = findUserOverride(session.User, config);
+    if (override) {
+        return { rules: override.audio_selector, source: `user:${override.user}` };
+    }
+
+    const profile = findDeviceProfile(session, config);
+    if (profile && profile.audio_selector) {
+        return { rules: profile.audio_selector, source: `profile:${profile.name}` };
+    }
+    return { rules: config.audio_selector, source: 'global' };
+}
+
+/**
+ * Resolve the termination strategy for a session
+ * Device profile termination settings override the global termination block
+ * @param {Object} session - Plex session
+ * @param {Object} config - Loaded config
+ * @returns {{strategy: string, max_view_offset_seconds: number}}
+ */
+function resolveTermination(session, config) {
+    const profile = findDeviceProfile(session, config);
+    return { ...config.termination, ...(profile?.termination || {}) };
+}
+
+module.exports = {
+    PROFILE_MATCH_FIELDS,
+    findDeviceProfile,
+    findManagedUser,
+    findUserOverride,
+    isUserAllowed,
+    matchesUser,
+    resolveRules,
+    resolveTermination
+};
@@ -0,0 +1,119 @@
+/**
+ * Schedule
+ * Parses pre_selection.schedule: a 5-field cron expression or an interval ("30m", "6h", "1d")
+ */
+
+const INTERVAL_UNITS = { m: 60000, h: 3600000, d: 86400000 };
+
+// [min, max] per cron field: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Look ahead at most one year (leap year included) for the next cron match
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseCronField(value, field) {
+    const allowed = new Set();
+
+    for (const item of value.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart === undefined ? 1 : Number(stepPart);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid ${field.name} step: ${item}`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (rangePart !== '*') {
+            const bounds = rangePart.split('-').map(Number);
+            if (bounds.length > 2 || bounds.some(n => !Number.isInteger(n))) {
+                throw new Error(`Invalid ${field.name}: ${item}`);
+            }
+            start = bounds[0];
+            end = bounds.length === 2 ? bounds[1] : (stepPart === undefined ? start : field.max);
+        }
+        if (start < field.min || end > field.max || start > end) {
+            throw new Error(`${field.name} out of range ${field.min}-${field.max}: ${item}`);
+        }
+
+        for (let n = start; n <= end; n += step) {
+            allowed.add(n);
+        }
+    }
+    return allowed;
+}
+
+/**
+ * Parse a schedule expression
+ * @param {string} expression - Cron ("0 4 * * *") or interval ("6h")
+ * @returns {{type: 'interval', ms: number}|{type: 'cron', fields: Set<number>[], restrictedDays: boolean}}
+ */
+function parseSchedule(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('schedule must be a cron expression or interval (e.g. "0 4 * * *" or "6h")');
+    }
+    const trimmed = expression.trim();
+
+    const interval = trimmed.match(/^(\d+)\s*([mhd])$/i);
+    if (interval) {
+        const ms = Number(interval[1]) * INTERVAL_UNITS[interval[2].toLowerCase()];
+        if (ms <= 0) {
+            throw new Error(`schedule interval must be > 0 (got: ${expression})`);
+        }
+        return { type: 'interval', ms };
+    }
+
+    const parts = trimmed.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`schedule cron must have 5 fields (got: ${expression})`);
+    }
+
+    const fields = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    // 7 = Sunday, like 0
+    if (fields[4].delete(7)) fields[4].add(0);
+
+    // Standard cron: if both day fields are restricted (not starting with *, so */2 is not), either may match
+    return { type: 'cron', fields, restrictedDays: !parts[2].startsWith('*') && !parts[4].startsWith('*') };
+}
+
+function matchesCron(schedule, date) {
+    const [minutes, hours, days, months, weekdays] = schedule.fields;
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+        return false;
+    }
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    return schedule.restrictedDays ? dayMatch || weekdayMatch : dayMatch && weekdayMatch;
+}
+
+/**
+ * Get the next run time after a given time (local time for cron)
+ * @param {Object} schedule - Result of parseSchedule
+ * @param {Date} from - Reference time
+ * @returns {Date|null} Next run, or null if the cron never matches within a year
+ */
+function nextRun(schedule, from) {
+    if (schedule.type === 'interval') {
+        return new Date(from.getTime() + schedule.ms);
+    }
+
+    const candidate = new Date(from.getTime());
+    candidate.setSeconds(0, 0);
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+        candidate.setMinutes(candidate.getMinutes() + 1);
+        if (matchesCron(schedule, candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseSchedule,
+    nextRun
+};
@@ -0,0 +1,63 @@
+/**
+ * State Store
+ * JSON persistence for runtime state (Docker /config volume first, local fallback)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Get state file path (Docker first, fallback to local)
+ * @param {string} filename - File name, e.g. "processing_state.json"
+ * @returns {string} Absolute path
+ */
+function getPath(filename) {
+    if (fs.existsSync('/config')) {
+        return path.join('/config', filename);
+    }
+    return path.join(__dirname, filename);
+}
+
+/**
+ * Load JSON state
+ * @param {string} filename - File name
+ * @param {*} fallback - Returned when the file is missing or corrupt
+ * @returns {*} Parsed data or fallback
+ */
+function load(filename, fallback) {
+    const statePath = getPath(filename);
+    try {
+        if (!fs.existsSync(statePath)) return fallback;
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+        logger.warn(`State ${statePath}: ${error.message} - starting empty`);
+        return fallback;
+    }
+}
+
+/**
+ * Save JSON state atomically (write temp file, then rename)
+ * Errors are logged, not thrown - losing state must not stop processing
+ * @param {string} filename - File name
+ * @param {*} data - JSON-serializable data
+ * @returns {boolean} True if written
+ */
+function save(filename, data) {
+    const statePath = getPath(filename);
+    const tmpPath = `${statePath}.tmp`;
+    try {
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, statePath);
+        return true;
+    } catch (error) {
+        logger.error(`State ${statePath}: ${error.message}`);
+        return false;
+    }
+}
+
+module.exports = {
+    getPath,
+    load,
+    save
+};
@@ -0,0 +1,135 @@
+/**
+ * Webhook Authentication
+ * - HMAC-SHA256 signature (webhook.hmac_secret): X-Webhook-Timestamp (unix seconds) and
+ *   X-Webhook-Signature ("sha256=<hex>" of "<timestamp>.<raw body>"), with replay protection
+ * - Shared secret (webhook.secret): X-Webhook-Secret header, or ?token= in the URL for Plex
+ * - Admin API (webhook.admin_token): Authorization: Bearer <token>
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SECRET_HEADER = 'x-webhook-secret';
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+// Signatures accepted within their max age -> expiry (ms), to reject replays
+const seenSignatures = new Map();
+
+/**
+ * Constant-time string comparison (also for different lengths)
+ */
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Compute the signature header value for a body
+ * @param {string} secret - webhook.hmac_secret
+ * @param {string|number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {Buffer|string} rawBody - Request body as sent
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(secret, timestamp, rawBody) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.`);
+    hmac.update(rawBody || '');
+    return `sha256=${hmac.digest('hex')}`;
+}
+
+function rememberSignature(signature, expiresAt, now) {
+    for (const [key, expiry] of seenSignatures) {
+        if (expiry <= now) seenSignatures.delete(key);
+    }
+    seenSignatures.set(signature, expiresAt);
+}
+
+function verifySignature(req, config, now) {
+    const signature = req.headers[SIGNATURE_HEADER];
+    const timestamp = req.headers[TIMESTAMP_HEADER];
+    const maxAgeSeconds = config.webhook.hmac_max_age_seconds ?? DEFAULT_MAX_AGE_SECONDS;
+
+    if (!/^\d+$/.test(timestamp || '')) {
+        logger.warn(`Unsigned timestamp from ${req.ip} - send ${TIMESTAMP_HEADER} (unix seconds) with the signature`);
+        return false;
+    }
+    if (Math.abs(now / 1000 - Number(timestamp)) > maxAgeSeconds) {
+        logger.warn(`Expired signature from ${req.ip} (timestamp ${timestamp}) - check clock sync`);
+        return false;
+    }
+    if (req.rawBody === undefined) {
+        logger.warn(`Signed ${req.headers['content-type']} from ${req.ip} - only JSON and form bodies can be signed`);
+        return false;
+    }
+
+    const provided = String(signature).startsWith('sha256=') ? String(signature) : `sha256=${signature}`;
+    if (!safeEqual(provided, sign(config.webhook.hmac_secret, timestamp, req.rawBody))) {
+        logger.warn(`Invalid signature from ${req.ip} - check webhook.hmac_secret`);
+        return false;
+    }
+    if (seenSignatures.has(provided) && seenSignatures.get(provided) > now) {
+        logger.warn(`Replayed signature from ${req.ip}`);
+        return false;
+    }
+
+    rememberSignature(provided, Number(timestamp) * 1000 + maxAgeSeconds * 1000, now);
+    return true;
+}
+
+/**
+ * Authenticate a webhook request
+ * A signature, when present, must be valid. Without one, the shared secret is checked
+ * (header or ?token=). Unsigned requests are rejected if only hmac_secret is set.
+ * @param {Object} req - Express request (req.rawBody set by the body parsers)
+ * @param {Object} config - Loaded config
+ * @param {number} [now] - Epoch ms
+ * @returns {boolean}
+ */
+function verifyRequest(req, config, now = Date.now()) {
+    const { secret, hmac_secret: hmacSecret } = config.webhook;
+
+    if (hmacSecret && req.headers[SIGNATURE_HEADER]) {
+        return verifySignature(req, config, now);
+    }
+
+    if (!secret) {
+        if (hmacSecret) {
+            logger.warn(`Unsigned request from ${req.ip} - sign with webhook.hmac_secret or set webhook.secret`);
+            return false;
+        }
+        return true;
+    }
+
+    const provided = req.headers[SECRET_HEADER] ?? req.query?.token;
+    if (typeof provided !== 'string' || !safeEqual(provided, secret)) {
+        logger.warn(`Invalid secret from ${req.ip} - check ${SECRET_HEADER} header or ?token= matches config`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Authenticate an admin API request
+ * @param {Object} req - Express request
+ * @param {Object} config - Loaded config (webhook.admin_token set)
+ * @returns {boolean}
+ */
+function verifyAdminRequest(req, config) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    if (!match || !safeEqual(match[1], config.webhook.admin_token)) {
+        logger.warn(`Invalid admin token from ${req.ip} - send Authorization: Bearer <webhook.admin_token>`);
+        return false;
+    }
+    return true;
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    sign,
+    verifyRequest,
+    verifyAdminRequest
+};
@@ -1,11 +1,45 @@
 const logger = require('./logger');
 const plexClient = require('./plexClient');
 const audioFixer = require('./audioFixer');
+const bulkFixer = require('./bulkFixer');
+const { isAudioTranscode } = require('./mediaHelpers');
 
 const RELEVANT_EVENTS = ['media.play', 'media.resume', 'playback.started'];
+const STOP_EVENTS = ['media.stop'];
+const PAUSE_EVENTS = ['media.pause'];
+const NEW_ITEM_EVENTS = ['library.new'];
+
+/**
+ * Audio transcode decision from the stream details of a Tautulli payload
+ * @param {Object} [stream] - payload.Stream
+ * @param {boolean} [acceptAudioCopy]
+ * @returns {boolean|null} null if the payload doesn't tell
+ */
+function isStreamAudioTranscode(stream, acceptAudioCopy = true) {
+    if (!stream) return null;
+
+    const decision = stream.audioDecision;
+    if (decision === 'transcode') return true;
+    if (decision === 'copy') return !acceptAudioCopy;
+    if (decision === 'direct play' || decision === 'directplay') return false;
+    // Whole stream direct played, so audio is too
+    if (stream.transcodeDecision === 'direct play' || stream.transcodeDecision === 'directplay') return false;
+    return null;
+}
+
+function matchesSession(session, ratingKey, playerUuid, stream) {
+    if (String(session.ratingKey) !== String(ratingKey)) return false;
+    // Tautulli knows the exact session
+    if (stream?.sessionKey) return String(session.sessionKey) === stream.sessionKey;
+    if (stream?.sessionId) return session.Session?.id === stream.sessionId;
+    // Plex sessions use Player.machineIdentifier, webhooks may use uuid
+    return String(session.Player?.uuid || session.Player?.machineIdentifier) === String(playerUuid);
+}
 
-async function findSessionWithRetry(ratingKey, playerUuid, config) {
-    const initialDelay = config.webhook?.initial_delay_ms || 0; // Delay before first attempt
+async function findSessionWithRetry(ratingKey, playerUuid, config, stream) {
+    // Tautulli only sends a session once Plex has created it, so there is nothing to wait for
+    const knownSession = !!(stream?.sessionKey || stream?.sessionId);
+    const initialDelay = knownSession ? 0 : config.webhook?.initial_delay_ms || 0; // Delay before first attempt
     const maxRetries = config.webhook?.session_retry?.max_attempts || 1; // Number of attempts
     const retryDelayMs = config.webhook?.session_retry?.initial_delay_ms || 0; // Base delay for exponential backoff
 
@@ -17,12 +51,7 @@ async function findSessionWithRetry(ratingKey, playerUuid, config) {
         const sessions = await plexClient.fetchSessions();
 
 
-        const matchingSession = sessions.find(s => {
-            const ratingKeyMatch = String(s.ratingKey) === String(ratingKey);
-            // Plex sessions use Player.machineIdentifier, webhooks may use uuid
-            const playerMatch = String(s.Player?.uuid || s.Player?.machineIdentifier) === String(playerUuid);
-            return ratingKeyMatch && playerMatch;
-        });
+        const matchingSession = sessions.find(s => matchesSession(s, ratingKey, playerUuid, stream));
 
         if (matchingSession) {
             if (attempt > 0) {
@@ -32,7 +61,8 @@ async function findSessionWithRetry(ratingKey, playerUuid, config) {
         }
 
         if (attempt === 0 && sessions.length > 0) {
-            logger.debug(`No match: want ratingKey=${ratingKey} player=${playerUuid}`);
+            const want = knownSession ? `session=${stream.sessionKey || stream.sessionId}` : `player=${playerUuid}`;
+            logger.debug(`No match: want ratingKey=${ratingKey} ${want}`);
             logger.debug(`Sessions: ${sessions.map((s, i) => `[${i}] ${s.ratingKey}:${s.sessionKey}`).join(', ')}`);
         }
 
@@ -43,7 +73,9 @@ async function findSessionWithRetry(ratingKey, playerUuid, config) {
         }
     }
 
-    if (maxRetries > 1) {
+    if (knownSession) {
+        logger.debug(`No session: ${ratingKey} (session ${stream.sessionKey || stream.sessionId} ended)`);
+    } else if (maxRetries > 1) {
         const suggestedDelay = Math.min(retryDelayMs * 2, 2000);
         const suggestedAttempts = Math.min(maxRetries + 1, 5);
         logger.warn(`No session: ${ratingKey} (${maxRetries} attempts) - webhook arrives before Plex creates session`);
@@ -58,6 +90,33 @@ async function processWebhook(payload, config) {
     try {
         const event = payload.event;
 
+        if (STOP_EVENTS.includes(event)) {
+            if (config.temporary_switch && payload.Metadata?.ratingKey && payload.Player?.uuid) {
+                await audioFixer.handleSessionStopped(payload.Metadata.ratingKey, payload.Player.uuid, config);
+            }
+            return;
+        }
+
+        if (PAUSE_EVENTS.includes(event)) {
+            const ratingKey = payload.Metadata?.ratingKey;
+            const playerUuid = payload.Player?.uuid;
+            if (ratingKey && playerUuid && audioFixer.hasDeferredTermination(ratingKey, playerUuid)) {
+                const sessions = await plexClient.fetchSessions();
+                await audioFixer.processDeferredTerminations(sessions, config);
+            }
+            return;
+        }
+
+        if (NEW_ITEM_EVENTS.includes(event)) {
+            const ratingKey = payload.Metadata?.ratingKey;
+            if (!ratingKey) {
+                logger.warn('Malformed webhook: library.new without ratingKey');
+                return;
+            }
+            await bulkFixer.processNewItem(ratingKey, config);
+            return;
+        }
+
         if (!RELEVANT_EVENTS.includes(event)) {
             return;
         }
@@ -65,6 +124,7 @@ async function processWebhook(payload, config) {
         const ratingKey = payload.Metadata?.ratingKey;
         const playerUuid = payload.Player?.uuid;
         const userTitle = payload.Account?.title;
+        const stream = payload.Stream;
 
         if (!ratingKey || !playerUuid) {
             logger.warn(`Malformed webhook: missing ratingKey=${ratingKey} playerUuid=${playerUuid} - check Plex webhook config`);
@@ -75,20 +135,9 @@ async function processWebhook(payload, config) {
 
         const processingInfo = audioFixer.getProcessingInfo(ratingKey, playerUuid);
         if (processingInfo) {
-            const matchingSession = await findSessionWithRetry(ratingKey, playerUuid, config);
+            const matchingSession = await findSessionWithRetry(ratingKey, playerUuid, config, stream);
             if (matchingSession) {
-                const validationResult = audioFixer.validateSessionRestart(matchingSession, processingInfo);
-
-                if (validationResult === true) {
-                    audioFixer.clearProcessingInfo(ratingKey, playerUuid);
-                    logger.info(`Validated: ${ratingKey}`);
-                    return;
-                } else if (validationResult === false) {
-                    audioFixer.clearProcessingInfo(ratingKey, playerUuid);
-                    logger.warn(`Validation failed: ${ratingKey} - still transcoding or wrong stream selected`);
-                    return;
-                }
-                logger.debug(`Same session, waiting`);
+                await audioFixer.handleRestartedSession(matchingSession, processingInfo, config);
                 return;
             } else {
                 logger.debug(`Validation pending`);
@@ -101,13 +150,21 @@ async function processWebhook(payload, config) {
             return;
         }
 
-        const matchingSession = await findSessionWithRetry(ratingKey, playerUuid, config);
+        if (isStreamAudioTranscode(stream, config.accept_audio_copy) === false) {
+            logger.debug(`No audio transcode: ${ratingKey} (audio=${stream.audioDecision || stream.transcodeDecision}) - skipping`);
+            return;
+        }
+
+        const matchingSession = await findSessionWithRetry(ratingKey, playerUuid, config, stream);
 
         if (!matchingSession) {
             return;
         }
 
-        if (!matchingSession.TranscodeSession) {
+        if (!isAudioTranscode(matchingSession, config.accept_audio_copy)) {
+            if (matchingSession.TranscodeSession) {
+                logger.debug(`Video-only transcode: ${ratingKey} (audio=${matchingSession.TranscodeSession.audioDecision}) - skipping`);
+            }
             return;
         }
 
@@ -1,96 +1,14 @@
 const express = require('express');
 const multer = require('multer');
 const logger = require('./logger');
+const { isAllowedIP } = require('./ipNetworks');
+const webhookAuth = require('./webhookAuth');
+const { createAdminRouter } = require('./adminApi');
 const packageJson = require('./package.json');
 
 let server = null;
 let httpServer = null;
 
-/**
- * Converts IPv4 address to 32-bit integer
- */
-function ipv4ToInt(ip) {
-    const octets = ip.split('.').map(Number);
-    return ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
-}
-
-/**
- * Checks if an IP matches a CIDR range
- */
-function matchesCIDR(ip, cidr) {
-    // Remove IPv6 prefix if present (e.g., ::ffff:192.168.1.1 -> 192.168.1.1)
-    const cleanIP = ip.replace(/^::ffff:/, '');
-
-    // Handle IPv6 CIDR (simple prefix matching for common cases)
-    if (cidr.includes(':')) {
-        const [network, prefix] = cidr.split('/');
-        const prefixLen = prefix ? parseInt(prefix) : 128;
-
-        // Simple IPv6 matching for loopback and link-local
-        if (network === '::1' && prefixLen === 128) {
-            return cleanIP === '::1';
-        }
-        if (network.startsWith('fe80:') && prefixLen === 10) {
-            return cleanIP.startsWith('fe80:');
-        }
-        return false;
-    }
-
-    // Handle IPv4 CIDR
-    const [network, prefix] = cidr.split('/');
-    const prefixLen = prefix ? parseInt(prefix) : 32;
-
-    // Check if IP is IPv4
-    const octets = cleanIP.split('.');
-    if (octets.length !== 4) {
-        return false;
-    }
-
-    const ipInt = ipv4ToInt(cleanIP);
-    const networkInt = ipv4ToInt(network);
-    const mask = (0xFFFFFFFF << (32 - prefixLen)) >>> 0;
-
-    return (ipInt & mask) === (networkInt & mask);
-}
-
-/**
- * Checks if an IP address is allowed based on configured networks
- */
-function isAllowedIP(ip, allowedNetworks) {
-    // Remove IPv6 prefix if present
-    const cleanIP = ip.replace(/^::ffff:/, '');
-
-    for (const network of allowedNetworks) {
-        // Check if network is CIDR or plain IP
-        if (network.includes('/')) {
-            if (matchesCIDR(ip, network)) {
-                return true;
-            }
-        } else {
-            // Plain IP match
-            if (cleanIP === network) {
-                return true;
-            }
-        }
-    }
-
-    return false;
-}
-
-function validateWebhookSecret(req, config) {
-    if (!config.webhook.secret) {
-        return true;
-    }
-
-    const providedSecret = req.headers['x-webhook-secret'];
-    if (!providedSecret || providedSecret !== config.webhook.secret) {
-        logger.warn(`Invalid secret from ${req.ip} - check webhook secret header matches config`);
-        return false;
-    }
-
-    return true;
-}
-
 /**
  * Maps Tautulli event names to internal event names
  */
@@ -99,15 +17,45 @@ function mapTautulliEvent(eventName) {
         'play': 'media.play',
         'playback.start': 'media.play',
         'resume': 'media.resume',
-        'playback.resume': 'media.resume'
+        'playback.resume': 'media.resume',
+        'pause': 'media.pause',
+        'playback.pause': 'media.pause',
+        'stop': 'media.stop',
+        'playback.stop': 'media.stop',
+        'created': 'library.new',
+        'recently_added': 'library.new'
     };
 
     return mapping[eventName] || eventName;
 }
 
+// Tautulli sends "" for parameters that don't apply to the event
+function optionalValue(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return undefined;
+    return String(value).trim();
+}
+
+/**
+ * Extracts the stream details Tautulli can send with playback events
+ * Decisions are lower-cased: "direct play", "copy" or "transcode"
+ * @returns {Object|undefined} undefined if none were sent
+ */
+function parseTautulliStream(body) {
+    const stream = {
+        sessionKey: optionalValue(body.session_key),
+        sessionId: optionalValue(body.session_id),
+        transcodeDecision: optionalValue(body.transcode_decision)?.toLowerCase(),
+        audioDecision: optionalValue(body.audio_decision ?? body.stream_audio_decision)?.toLowerCase()
+    };
+
+    const fields = Object.entries(stream).filter(([, value]) => value !== undefined);
+    return fields.length > 0 ? Object.fromEntries(fields) : undefined;
+}
+
 /**
  * Normalizes Tautulli webhook payload to Plex webhook format
  * Tautulli sends different payload structure, we need to convert it
+ * Stream details (session key/id, transcode and audio decisions) are kept in payload.Stream
  */
 function normalizeTautulliPayload(body) {
     if (body.event && body.Account && body.Player && body.Metadata) {
@@ -123,8 +71,12 @@ function normalizeTautulliPayload(body) {
     const playerUuid = body.player || body.machine_id || body.player_uuid;
     const mediaType = body.media_type || body.type;
     const title = body.title;
+    const stream = parseTautulliStream(body);
 
     logger.debug(`Tautulli: event=${event} key=${ratingKey} user=${username} player=${playerUuid}`);
+    if (stream) {
+        logger.debug(`Tautulli: session=${stream.sessionKey} transcode=${stream.transcodeDecision} audio=${stream.audioDecision}`);
+    }
 
     return {
         event: mapTautulliEvent(event),
@@ -139,6 +91,7 @@ function normalizeTautulliPayload(body) {
             type: mediaType,
             title: title
         },
+        ...(stream && { Stream: stream }),
         _source: 'tautulli'
     };
 }
@@ -150,14 +103,21 @@ function isTautulliPayload(body) {
     // Tautulli simple format: event_type, action, rating_key, machine_id
     const hasSimpleFormat = !!(body.event_type || body.action || body.rating_key);
 
-    // Tautulli Plex-compatible format: event field with "media." prefix and nested structure
+    // Tautulli Plex-compatible format: event field with "media."/"library." prefix and nested structure
     // But NOT the Plex multipart format (which has 'payload' field)
-    const hasPlexCompatibleFormat = !!(body.event && body.event.startsWith('media.') && !body.payload);
+    const hasPlexCompatibleFormat = !!(body.event && /^(media|library)\./.test(body.event) && !body.payload);
 
     return hasSimpleFormat || hasPlexCompatibleFormat;
 }
 
-function start(config, onWebhook) {
+/**
+ * Start the webhook server
+ * @param {Object} config - Loaded config
+ * @param {function(Object): Promise} onWebhook - Called with each normalized payload
+ * @param {function(): Object} [getStatus] - Fields for /status, e.g. queue depth
+ * @returns {http.Server}
+ */
+function start(config, onWebhook, getStatus = () => ({})) {
     if (httpServer) {
         logger.warn('Already running');
         return;
@@ -166,9 +126,17 @@ function start(config, onWebhook) {
     const app = express();
     const upload = multer({ storage: multer.memoryStorage() });
 
-    // Add JSON body parser for Tautulli webhooks
-    app.use(express.json());
-    app.use(express.urlencoded({ extended: true }));
+    // Behind a reverse proxy, req.ip is taken from X-Forwarded-For (only from trusted proxies)
+    if (config.webhook.trust_proxy) {
+        app.set('trust proxy', config.webhook.trust_proxy);
+    }
+
+    // Add JSON body parser for Tautulli webhooks; keep the raw body for signature checks
+    const keepRawBody = (req, res, buf) => {
+        req.rawBody = buf;
+    };
+    app.use(express.json({ verify: keepRawBody }));
+    app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
     // IP filtering middleware - restrict to allowed networks only
     app.use((req, res, next) => {
@@ -201,9 +169,20 @@ function start(config, onWebhook) {
         });
     });
 
+    // Internal activity, so only behind the IP filter
+    if (config.webhook.local_only !== false) {
+        app.get('/status', (req, res) => {
+            res.json({ status: 'ok', ...getStatus() });
+        });
+    }
+
+    if (config.webhook.admin_token) {
+        app.use('/admin', createAdminRouter(config, onWebhook));
+    }
+
     app.post(config.webhook.path, upload.single('thumb'), (req, res) => {
         try {
-            if (!validateWebhookSecret(req, config)) {
+            if (!webhookAuth.verifyRequest(req, config)) {
                 return res.status(401).json({ error: 'Unauthorized' });
             }
 
@@ -256,10 +235,17 @@ function start(config, onWebhook) {
             logger.warn('Networks: ALL - set local_only=true and configure allowed_networks');
         }
 
-        if (config.webhook.secret) {
-            logger.info('Auth: enabled');
+        const auth = [config.webhook.hmac_secret && 'signature', config.webhook.secret && 'secret'].filter(Boolean);
+        if (auth.length > 0) {
+            logger.info(`Auth: ${auth.join(' or ')}`);
         } else {
-            logger.warn('Auth: disabled - set webhook.secret for security');
+            logger.warn('Auth: disabled - set webhook.secret or webhook.hmac_secret for security');
+        }
+        if (config.webhook.trust_proxy) {
+            logger.info(`Trust proxy: ${config.webhook.trust_proxy}`);
+        }
+        if (config.webhook.admin_token) {
+            logger.info(`Admin API: http://${host}:${port}/admin`);
         }
     });
 
@@ -273,6 +259,7 @@ function start(config, onWebhook) {
     });
 
     server = app;
+    return httpServer;
 }
 
 function stop() {
@@ -283,4 +270,4 @@ function stop() {
     }
 }
 
-module.exports = { start, stop };
+module.exports = { start, stop, normalizeTautulliPayload };